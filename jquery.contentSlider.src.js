@@ -25,6 +25,25 @@
  * * Can be set to auto-slide to the right or to the left
  * * Pauses auto-slide when the user hovers the current slide
  * * Halts auto-slide when the user manually selects a slide
+ * * Keyboard navigation (Left/Right/Home/End) and WAI-ARIA carousel semantics; auto-slide pauses while the widget has focus
+ * * Touch swipe and mouse drag navigation
+ * * Pluggable transition effects: slide, fade, vertical slide, none, or your own
+ * * Multi-item carousel mode: show several slides at once and page through them ('slides_per_view', 'slides_per_move')
+ * * Responsive mode: slides fit the container and are resized with the window, with optional breakpoints
+ * * Image-free controls styled with CSS, with templates for custom arrow and indicator markup
+ * * Slides can be added and removed on the fly, or built from JSON data ('source', 'slide_template')
+ * * Lazy loading of slide images ('data-src', 'data-srcset') with neighbor preloading
+ * * Deep links to slides through the URL hash or the History API
+ * * Dot, thumbnail or number ('3 / 12') pagers, inside or outside the widget
+ * * Per-slide durations ('data-duration'), a progress bar or ring, and a play/pause button
+ * * Auto-slide can resume after the user navigates, and pauses while the page or widget is hidden
+ * * Loop modes: seamless wraparound, rewind to the first slide, or stop at the ends
+ * * One call can set up any number of widgets, each with its own options; defaults in $.fn.contentSlider.defaults
+ * * Synchronized widgets: a navigation strip for a main slider ('as_nav_for'), or mirrored sliders ('sync_with')
+ * * Script-free setup: elements with a 'data-content-slider' attribute initialize themselves, optionally also when added later
+ * * Adaptive height that follows the content of the slides shown ('slider_height : "auto"')
+ * * Media-aware slides: video, audio and embeds pause when their slide leaves, can start when it comes, and hold auto-slide
+ * * Hardware-accelerated sliding (CSS translate3d) with configurable easing, and buffered rapid navigation
  *
  * Usage
  * =====
@@ -36,11 +55,71 @@
  * The Previous and Next buttons are automatically added for the user, and the
  * slide indicators are automatically added (one per slide) for the user as well.
  *
- * NOTE: There must not be any whitespace between the ending and start tags of adjacent
- * 'slider' `<div>`s. Browsers rendering such whitespace will mess up computed widths and one
- * or more of the sliders would render below the slider section.
+ * NOTE: In Internet Explorer 7-9 there must not be any whitespace between the ending and start
+ * tags of adjacent 'slider' `<div>`s. Those browsers render such whitespace, which will mess up
+ * computed widths and one or more of the sliders would render below the slider section.
  * 		EG: ...</div><div class='slider'>...
  *
+ * @changelog	1.3		-	added 'next', 'prev', 'goTo', 'play', 'pause', 'option' and 'getState' methods. Unknown method names throw an error.
+ * 						-	added 'contentSlider:init', 'contentSlider:beforeSlide' (cancellable), 'contentSlider:afterSlide' and
+ * 							'contentSlider:autoplayChange' events, plus the matching 'on_init', 'on_before_slide', 'on_after_slide'
+ * 							and 'on_autoplay_change' callback options.
+ * 						-	added 'destroy' method which restores the original markup. 'reinit' is now 'destroy' followed by a fresh init,
+ * 							so it no longer binds a second copy of the event handlers. Handlers are bound in the '.contentSlider' namespace.
+ * 						-	navigation arrows and slide indicators are now focusable <button> elements with accessible labels.
+ * 						-	added keyboard navigation (Left/Right/Home/End) and WAI-ARIA carousel roles, states and live region.
+ * 							Auto-scroll pauses while anything in the widget has keyboard focus. Added 'aria_label',
+ * 							'previous_label', 'next_label' and 'slide_label' options. Slides out of view are hidden from assistive
+ * 							technology and their links, buttons and form fields are taken out of the tab order.
+ * 						-	added touch swipe and mouse drag navigation, with 'swipe', 'swipe_threshold' and 'swipe_velocity' options.
+ * 						-	the 'stop_on_click' option is now honored by all user navigation.
+ * 						-	added 'transition' option with 'slide', 'fade', 'slideVertical' and 'none' effects, and the
+ * 							$.fn.contentSlider.transitions registry for custom effects. 'slide_speed' is now honored by the slide effect.
+ * 						-	added 'slides_per_view' and 'slides_per_move' options for multi-item carousels, with one indicator per page.
+ * 						-	added 'responsive', 'resize_debounce' and 'breakpoints' options and the 'refresh' method. Whitespace
+ * 							between slides no longer breaks the layout.
+ * 						-	'image_base' is now optional: without it the controls are styled entirely with CSS. Navigation buttons get
+ * 							'is-disabled' and indicators 'is-active' classes, hover is left to CSS, and the 'arrow_template' and
+ * 							'indicator_template' options render custom control markup.
+ * 						-	added 'addSlide', 'removeSlide' and 'replaceSlides' methods to change the slides of a running widget.
+ * 						-	added 'source' option to build the slides from an array of records or a JSON URL with 'slide_template',
+ * 							with loading and error states, the 'reload' method and the 'contentSlider:sourceLoad' and
+ * 							'contentSlider:sourceError' events.
+ * 						-	images with 'data-src'/'data-srcset' load lazily, when their slide is within 'preload_neighbors' of the
+ * 							visible ones. Slides have the 'is-loading' class until their images load, and auto-scroll waits
+ * 							for them (up to 'image_load_timeout').
+ * 						-	added 'start_slide' option, and 'hash_navigation' to keep the current slide in the URL (hash, replaceState
+ * 							or pushState) and follow back/forward navigation. 'goTo' also takes a slide name.
+ * 						-	added 'pager' option with 'thumbnails' and 'numbers' pagers besides the dots, and 'pager_container' to
+ * 							put the pager outside the widget.
+ * 						-	auto-scroll uses a timer per slide which resumes with the time left after a pause, and a slide's
+ * 							'data-duration' overrides 'auto_scroll_timeout'. Added 'progress_indicator' and 'play_pause_button'
+ * 							options. 'stopAutoScroll' now also stops a paused auto-scroll.
+ * 						-	added 'autoplay_resume' ('never', 'after_idle', 'on_leave') and 'autoplay_resume_delay' options, so
+ * 							navigation can pause auto-scroll instead of stopping it. Auto-scroll pauses while the page is hidden
+ * 							or the widget is out of view ('pause_when_hidden').
+ * 						-	added 'loop' option ('wrap', 'rewind', false). Wrapping around now copies only the slides it scrolls to
+ * 							and keeps the original slides, so their IDs, event handlers, scripts and iframes are left alone. The
+ * 							arrows are only disabled at the ends when the widget does not loop.
+ * 						-	each element in the jQuery collection gets its own widget, and method calls go to every one of them.
+ * 							The default options are public as $.fn.contentSlider.defaults and copied for each widget.
+ * 						-	added 'sync_with' and 'as_nav_for' options to keep two widgets on the same slide. The widget they
+ * 							name drives auto-scroll, and slide events caused by the other widget have triggered_by 'sync'.
+ * 						-	elements with a 'data-content-slider' attribute are initialized on DOM ready, with options from that
+ * 							attribute (JSON) and from 'data-*' attributes named after the options. Added $.fn.contentSlider.autoInit
+ * 							and $.fn.contentSlider.observe, which also initializes such elements added later and destroys removed ones.
+ * 						-	invalid option values throw an error naming the element, and the widget instance is read with $.data()
+ * 							so a 'data-content-slider' attribute is never mistaken for it.
+ * 						-	'slider_height' can be 'auto': the slides area animates to the height of the slides shown with each
+ * 							transition, and follows their images loading and their content changing.
+ * 						-	added 'pause_media', 'autoplay_media', 'pause_for_media' and 'advance_on_media_end' options for slides
+ * 							with video, audio or embeds, handled by the adapters in the $.fn.contentSlider.mediaAdapters registry
+ * 							('html5', plus 'youtube' and 'vimeo' which can only play and pause).
+ * 						-	the slide effect moves the slides with a CSS translate3d transition where supported ('use_transforms'),
+ * 							falling back to animating scrollLeft. Added 'easing' (any jQuery easing; the ones listed in
+ * 							$.fn.contentSlider.cssEasings also work with transforms), 'navigation_queue' ('drop', 'queue' or
+ * 							'latest') for navigation during a slide change, and 'scale_jump_speed' so jumps across several
+ * 							pages take longer than a single step. Transition effects get the duration to use as 'this.duration'.
  * @changelog	1.2.1	-	added README file. added 'method' parameter to enable the user to call a function
  * @changelog	1.2		-	added 'autoscroll_direction' option. Values are 'right' and 'left'. Optional. Default is 'right'.
  * 						-	added 'debug' option. Set to 'true' to enable console.log statements for testing functionality.
@@ -50,7 +129,7 @@
  * @example		See example.html
  * @class		ContentSlider
  * @name		ContentSlider
- * @version		1.2.1
+ * @version		1.3
  * @author		Derek Rosenzweig <derek.rosenzweig@gmail.com, drosenzweig@riccagroup.com>
  */
 (function($) {
@@ -59,48 +138,44 @@
      * Constructor. Adds the slider prev/next buttons, slide indicator radio buttons (one per slide),
      * and all necessary event handlers for changing slides and showing image hover status.
      *
-     * By default, the first slide is selected.
+     * By default, the first slide is selected. Every element in the collection gets a widget
+     * of its own, with its own options, and methods are called on each of them.
      *
      * @access		public
      * @memberOf	ContentSlider
      * @since		1.0
-     * @updated		1.2.1
+     * @updated		1.3
      *
      * @param		options_or_method	Object				An object containing various options, or a string containing a method name.
-     * 															Valid method names: 'reinit'
+     * 															Valid method names: 'reinit', 'destroy', 'refresh', 'reload', 'next', 'prev', 'goTo', 'play',
+     * 															'pause', 'option', 'getState', 'addSlide', 'removeSlide', 'replaceSlides'. Any further
+     * 															arguments are passed to the method.
      *
-     * @returns		this				jQuery				The jQuery element being extended gets returned for chaining purposes
+     * @returns		this				jQuery				The jQuery element being extended gets returned for chaining purposes,
+     * 															except for 'getState' and the 'option' getter, which return the value
+     * 															of the first element's widget
      */
 	$.fn.contentSlider = function(options_or_method) {
+		if (this.length != 1) {
+			// Make the call for each element on its own; getters answer for the first one, like jQuery's
+			var plugin_arguments = arguments;
+			var call_result = this;
+			this.each(function(index, element) {
+				var element_container = $(element);
+				var element_result = $.fn.contentSlider.apply(element_container, plugin_arguments);
+				if (index == 0 && element_result !== element_container) {
+					call_result = element_result;
+				}
+			});
+			return call_result;
+		}
+		
 		//--------------------------------------------------------------------------
 		//
 		//  Variables and get/set functions
 		//
 		//--------------------------------------------------------------------------
 		
-		/**
-		 * Default options for the widget. Overwrite by including individual
-		 * options in the 'options' map object when extending the slider container.
-		 *
-		 * @access		public
-		 * @type		Object
-		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
-		 */
-		var default_options = {
-			image_base : null,						// Location of directory where images are located. Default null. Required.
-			slide_speed : 500,						// The speed (in milliseconds) in which the slides change when navigation is clicked. Default 500 (0.5s)
-			auto_scroll : true,						// Flag indicating whether the widget should auto-scroll. Default true.
-			auto_scroll_timeout : 6000,				// Time (in milliseconds) that each slide will be shown before auto-scrolling. Default 6000 (6s).
-			pause_on_hover : true,					// Flag indicating whether a hover event on the slider container or its children will pause auto-scroll. Default true.
-			stop_on_click : true,					// Flag indicating whether a click event on the slider navigation will stop auto-scroll. Default true.
-			slider_height : 300,					// Total height of the entire ContentSlider widget, in pixels. Default 300.
-			navigation_inline : false,				// Is navigation inline (true) or on its own line below the slides (false). Default false.
-			autoscroll_direction : 'right',			// Determines which direction the widget will auto-scroll. Options: 'left', 'right'. Default 'right'. Optional.
-			debug : false							// Flag indicating whether this should output console.log debug statements. Default false. Optional.
-		};
-		
 		/**
 		 * The actual final set of extended options.
 		 *
@@ -159,15 +234,76 @@
 		var current_slider = null;
 		
 		/**
-		 * The ID of an interval set by setInterval.
+		 * The ID of the timeout set by setTimeout which moves on from the current
+		 * slide while auto-scrolling.
 		 *
 		 * @access		public
 		 * @type		integer
 		 * @memberOf	ContentSlider
 		 * @since		1.0
+		 * @updated		1.3
+		 * @default		null
+		 */
+		var auto_scroll_timer = null;
+		
+		/**
+		 * Flag indicating whether auto-scroll is running, ie: on and neither paused
+		 * nor stopped.
+		 *
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
+		 */
+		var auto_scroll_playing = false;
+		
+		/**
+		 * The time (in milliseconds since the epoch) the auto-scroll timer fires.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		0
+		 */
+		var auto_scroll_timer_end = 0;
+		
+		/**
+		 * The time (in milliseconds) the current slide still had to be shown when
+		 * auto-scroll was paused, so it resumes from there. Null to show the slide
+		 * for its full duration.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var auto_scroll_remaining = null;
+		
+		/**
+		 * The progress indicator element added by the 'progress_indicator' option.
+		 * Null when there is none.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var progress_element = null;
+		
+		/**
+		 * The animation filling the progress indicator over the current slide's time.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	ContentSlider
+		 * @since		1.3
 		 * @default		null
 		 */
-		var auto_scroll_interval = null;
+		var progress_animation = null;
 		
 		/**
 		 * Flag indicating whether or not the slider is currently animating a slide.
@@ -180,377 +316,3793 @@
 		 */
 		var currently_animating = false;
 		
-		//--------------------------------------------------------------------------
-		//
-		//  Methods
-		//
-		//--------------------------------------------------------------------------
+		/**
+		 * The number of slides in the widget, not counting any slides cloned
+		 * during a wraparound.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		0
+		 */
+		var total_slides = 0;
 		
 		/**
-		 * Initializes the slider widget. Add 'n' slide page indicators (where n = the number
-		 * of slides given by the 'div.sliders div.slider_overflow div.slider' selector) plus
-		 * the left/right navigation buttons and their click and hover event handlers.
+		 * The ID of the timeout set by setTimeout which starts auto-scroll shortly
+		 * after initialization.
 		 *
 		 * @access		public
+		 * @type		integer
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2.1
+		 * @since		1.3
+		 * @default		null
 		 */
-		this.initSlider = function() {
-			if (options.image_base == null) {
-				throw 'ContentSlider widget: no image base specified.';
-				return;
-			}
-			
-			// First remove any previously-added slider stuff...
-			slider_widget_container.find('div.current_slide_indicator').remove();
-			slider_widget_container.find('img[data-navigation-direction]').remove();
-			current_slider = slider_widget_container.find('div.slider:first-child');
-			sliders_container.scrollLeft(0);
-			
-			// Then add the new stuff...
-			var slides = slider_widget_container.find('div.slider');
-			
-			slider_widget_container.addClass('content_slider_widget');
-			
-			// add the indicators that show which slide we're on
-			var slide_indicator_div = $("<div></div>").addClass('current_slide_indicator');
-			var full_sliders_width = 0;
-			if (slides.length > 0) {
-				var cur_slide_width = 0;
-				slides.each(function(index, slide) {
-					if (index == 0) { $(slide).attr('data-first-slide', true); }
-					else if (index == slides.length - 1) { $(slide).attr('data-last-slide', true); }
-					cur_slide_width = $(slide).width();
-					full_sliders_width += cur_slide_width;
-					if (options.navigation_inline == false) {
-						slide_indicator_div.append($("<img>").attr({src:options.image_base+"/slider-inactive-slide.png",width:10,height:10}).addClass('slide_indicator'));
-					}
-				});
-			}
-			
-			// Add the navigation buttons
-			var left_slider_navigation = $("<img>")
-											.attr({src:options.image_base+"/slider-left-arrow-static.png",
-												   'data-navigation-direction':'left'})
-											.addClass('slider_left');
-			var right_slider_navigaton = $("<img>")
-											.attr({src:options.image_base+"/slider-right-arrow-static.png",
-												   'data-navigation-direction':'right'})
-											.addClass('slider_right enabled');
-			if (options.navigation_inline == false) {
-				slide_indicator_div.prepend(left_slider_navigation);
-				slide_indicator_div.append(right_slider_navigaton);
-				slider_widget_container.append(slide_indicator_div);
-				slider_widget_container.find('img.slide_indicator').eq(0).attr('src', options.image_base+'/slider-active-slide.png');
-			}
-			else {
-				left_slider_navigation.addClass('inline');
-				right_slider_navigaton.addClass('inline');
-				sliders_container.before(left_slider_navigation);
-				sliders_container.after(right_slider_navigaton);
-			}
-			
-			// Add event handlers
-			slider_widget_container.on('startAutoScroll', slider_widget_container.startAutoScroll);
-			slider_widget_container.on('pauseAutoScroll', slider_widget_container.pauseAutoScroll);
-			slider_widget_container.on('stopAutoScroll', slider_widget_container.stopAutoScroll);
-			sliders_container.on('mouseenter', function() { slider_widget_container.trigger('pauseAutoScroll'); });
-			sliders_container.on('mouseleave', function() { slider_widget_container.trigger('startAutoScroll'); });
-			slider_widget_container.find('img.slide_indicator').on('click', slider_widget_container.slideIndicatorClickHandler);
-			slider_widget_container.addLeftArrowHandlers();
-			slider_widget_container.addRightArrowHandlers();
-			
-			// set final width and height for overflow and sliders containers
-			current_slider = slides.eq(0);
-			slider_widget_container.find('img.slider_left').attr('src', options.image_base+'/slider-left-arrow-grey.png'); // hide the left navigation by default
-			overflow_contaner.css({width: full_sliders_width+'px'});
-			sliders_container.css({width: current_slider.width()+'px', height:options.slider_height+'px'});
-			
-			// Add the current options as data on the slider_widget_container
-			slider_widget_container.data('content-slider-options', options);
-			
-			// Start auto-scroll - wait half a second, then do it
-			if (options.auto_scroll) {
-				setTimeout(function() { slider_widget_container.trigger('startAutoScroll'); }, 500);
-			}
-		}
+		var auto_scroll_start_timeout = null;
 		
 		/**
-		 * Handles when the user clicks a radio button slide indicator. Will slide
-		 * the slider widget left or right depending on if the user clicks a
-		 * radio button lower or higher than the currently selected one.
+		 * Copies of the slides a 'wrap' loop is scrolling to, while it animates. They
+		 * get removed if the widget is destroyed before the wraparound completes.
 		 *
 		 * @access		public
+		 * @type		jQuery
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		null
+		 */
+		var wraparound_clones = null;
+		
+		/**
+		 * Flag indicating whether the strip of slides is moved with a CSS transform
+		 * rather than by scrolling the sliders container. Set once by initSlider().
 		 *
-		 * @param		click_event			Event		Click event triggered when the user clicks on a slide indicator image
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
 		 */
-		this.slideIndicatorClickHandler = function(click_event) {
-			var clicked_slide_indicator = $(click_event.target);
-			if (! currently_animating) {
-				currently_animating = true;
-				
-				// Stop the auto-scroll!
-				slider_widget_container.trigger('stopAutoScroll');
-				
-				var slides = slider_widget_container.find('div.slider');
-				var cur_slide_index = current_slider.index() + 1;
-				var indicator_id = clicked_slide_indicator.index();
-				
-				current_slider = slider_widget_container.find('div.slider:nth-child('+indicator_id+')');
-				var new_slide_position = current_slider.width() * (indicator_id-1);
-				sliders_container.animate({scrollLeft:new_slide_position, duration:options.slide_speed}, {
-					complete : function() {
-						sliders_container.css({width: current_slider.width()+'px'});
-						if (options.navigation_inline == false) {
-							var all_indicators = clicked_slide_indicator.siblings('img.slide_indicator');
-							all_indicators.attr('src', options.image_base+'/slider-inactive-slide.png');
-						}
-						clicked_slide_indicator.attr('src', options.image_base+'/slider-active-slide.png');
-						slider_widget_container.showOrHideCorrectNavigationImages();
-						currently_animating = false;
-					}
-				});
-			}
-		}
+		var strip_uses_transforms = false;
 		
 		/**
-		 * Handles when the user clicks the Next or Previous slide navigation buttons.
-		 * Will slide the slider widget left or right depending on which one the user
-		 * clicks.
+		 * How far (in pixels) the strip of slides is moved to the left by its transform,
+		 * or is being moved to while it transitions.
 		 *
 		 * @access		public
+		 * @type		Number
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		0
+		 */
+		var strip_offset = 0;
+		
+		/**
+		 * The CSS transition of the strip in progress: the offset it goes to, the
+		 * callback to run once there, and the ID of the timeout ending it in case no
+		 * 'transitionend' event comes. Null when the strip isn't transitioning.
 		 *
-		 * @param		click_event			Event		Click event triggered when the user clicks on the previous or next button
-		 * @param		auto_scroll_event	Boolean		Flag indicating whether this is being triggered by an auto-scroll event or a click. Default null.
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
 		 */
-		this.slideNavigationClickHandler = function(click_event, auto_scroll_event) {
-			var clicked_slide_navigator = $(click_event.target);
-			if (! currently_animating &&
-				(clicked_slide_navigator.hasClass('enabled') ||
-				 auto_scroll_event != null)) {
-				currently_animating = true;
-				if (options.debug && console !== undefined) { console.log('scrolling!'); }
-				if (auto_scroll_event == null) {
-					// Stop the auto-scroll!
-					slider_widget_container.trigger('stopAutoScroll');
-				}
-				
-				var original_slides = slider_widget_container.find('div.slider');
-				var zero_based_cur_slide_index = current_slider.index();
-				var one_based_cur_slide_index = zero_based_cur_slide_index + 1;
-				var zero_based_new_index = null;
-				var one_based_new_index = null;
-				
-				var new_slide_position = 0;
-				
-				var cloned_slides = null;
-				
-				if (clicked_slide_navigator.attr('data-navigation-direction') == 'right') {
-					one_based_new_index = one_based_cur_slide_index + 1;
-					if (one_based_cur_slide_index == original_slides.length) {
-						cloned_slides = original_slides.clone(true, true); // clone the elements
-						overflow_contaner.css({width:(overflow_contaner.width() * 2)+'px'}); // resize the overflow parent
-						overflow_contaner.append(cloned_slides); // append the cloned slides
-					}
-				}
-				else if (clicked_slide_navigator.attr('data-navigation-direction') == 'left') {
-					one_based_new_index = one_based_cur_slide_index - 1;
-					if (one_based_cur_slide_index == 1) {
-						one_based_new_index += original_slides.length; // now we have the proper index
-						cloned_slides = original_slides.clone(true, true); // clone the elements
-						overflow_contaner.css({width:(overflow_contaner.width() * 2)+'px'}); // resize the overflow parent
-						overflow_contaner.prepend(cloned_slides); // prepend the cloned slides
-						// set scroll left to the new left position of the original slide that is about to be slid offscreen
-						sliders_container.scrollLeft(current_slider.width() * (zero_based_cur_slide_index+original_slides.length));
-					}
-				}
-				
-				zero_based_new_index = one_based_new_index - 1;
-				var new_one_based_modulated_slide_index = (one_based_new_index % original_slides.length);
-				var new_zero_based_modulated_slide_index = new_one_based_modulated_slide_index - 1;
-				
-				if (options.debug && console !== undefined) { console.log('\tnew zero-based index: ' + zero_based_new_index +
-																		  '\n\tnew one-based index: ' + one_based_new_index +
-																		  '\n\tnew zero-based mod index: ' + new_zero_based_modulated_slide_index +
-																		  '\n\tnew one-based mod index: ' + new_one_based_modulated_slide_index); }
-				
-				current_slider = slider_widget_container.find('div.slider:nth-child('+one_based_new_index+')');
-				var slider_content_width = current_slider.width();
-				new_slide_position = current_slider.width() * zero_based_new_index;
-				
-				// Actually begin the animation
-				sliders_container.animate({scrollLeft:new_slide_position, duration:options.slide_speed}, {
-					complete : function() {
-						if (cloned_slides != null) {
-							// If we were sliding back to the 'first' slide from the 'last' (or vice versa)
-							// we have to remove the original slides and set the new final scroll position
-							// based on the remaining 'cloned' slides.
-							original_slides.remove();
-							
-							// If we are going 'left' we are already at the correct final scroll position...
-							if (clicked_slide_navigator.attr('data-navigation-direction') == 'right') {
-								// ...otherwise we have to set the new position to 0
-								var remaining_slides = slider_widget_container.find('div.slider');
-								overflow_contaner.css({width:(overflow_contaner.width() / 2)+'px'});
-								var final_scroll_position = 0;
-								$(this).scrollLeft(final_scroll_position);
-							}
-						}
-						sliders_container.css({width: slider_content_width+'px'});
-						if (options.navigation_inline == false) {
-							slider_widget_container.find('div.current_slide_indicator img.slide_indicator').attr('src', options.image_base+'/slider-inactive-slide.png');
-							var slide_indicator_to_activate = $(slider_widget_container.find('div.current_slide_indicator img.slide_indicator').get(new_zero_based_modulated_slide_index));
-							slide_indicator_to_activate.attr('src', options.image_base+'/slider-active-slide.png');
-						}
-						slider_widget_container.showOrHideCorrectNavigationImages();
-						currently_animating = false;
-					}
-				});
-			}
-		}
+		var strip_animation = null;
 		
 		/**
-		 * Hides or shows the previous/next button depending on which slide is being
-		 * viewed. If we're viewing the first one, we don't show the previous button;
-		 * if we're viewing the last one, we don't show the next button; otherwise,
-		 * we show both buttons.
+		 * Navigation the user asked for during a slide change, kept as functions to run
+		 * once it is done ('navigation_queue').
 		 *
 		 * @access		public
+		 * @type		Array
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		[]
 		 */
-		this.showOrHideCorrectNavigationImages = function() {
-			var all_slides = slider_widget_container.find('div.slider');
-			if (current_slider.attr('data-first-slide') !== undefined) {
-				slider_widget_container.find('img.slider_left').removeClass('enabled').attr('src', options.image_base+'/slider-left-arrow-grey.png');
-				slider_widget_container.find('img.slider_right').addClass('enabled').attr('src', options.image_base+'/slider-right-arrow-static.png');
-			}
-			else if (current_slider.attr('data-last-slide') !== undefined) {
-				slider_widget_container.find('img.slider_left').addClass('enabled').attr('src', options.image_base+'/slider-left-arrow-static.png');
-				slider_widget_container.find('img.slider_right').removeClass('enabled').attr('src', options.image_base+'/slider-right-arrow-grey.png');
-			}
-			else {
-				slider_widget_container.find('img.slider_left').addClass('enabled').attr('src', options.image_base+'/slider-left-arrow-static.png');
-				slider_widget_container.find('img.slider_right').addClass('enabled').attr('src', options.image_base+'/slider-right-arrow-static.png');
-			}
-		}
+		var buffered_navigation = [];
 		
-		/********* Auto Scroll event handlers *********/
+		/**
+		 * Flag indicating whether the widget is following a URL the user changed, so
+		 * the slide change cut short meanwhile doesn't write its own slide over it.
+		 *
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
+		 */
+		var following_url = false;
 		
 		/**
-		 * Checks to see if the auto_scroll option is true, and if so, sets
-		 * an interval timer to scroll to the next slide.
+		 * Flag indicating whether initSlider() has run and destroy() has not run since.
 		 *
 		 * @access		public
+		 * @type		boolean
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		false
+		 */
+		var widget_initialized = false;
+		
+		/**
+		 * Flag indicating whether auto-scroll is paused because the mouse is over the slides.
 		 *
-		 * @param		autoscroll_event			Event			Custom 'startAutoScroll' event
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
 		 */
-		this.startAutoScroll = function(autoscroll_event) {
-			// Start auto-scroll if that option indicates to do so
-			if (options.auto_scroll == true) {
-				if (options.autoscroll_direction == 'right') {
-					auto_scroll_interval = setInterval(function() { slider_widget_container.find('img.slider_right').trigger('click', [true]); }, options.auto_scroll_timeout);
-				}
-				else if (options.autoscroll_direction == 'left') {
-					auto_scroll_interval = setInterval(function() { slider_widget_container.find('img.slider_left').trigger('click', [true]); }, options.auto_scroll_timeout);
-				}
-				if (options.debug && console !== undefined) { console.log('starting slider auto scroll'); }
-			}
-		}
+		var hover_paused = false;
 		
 		/**
-		 * Checks to see if the auto_scroll option is true, and clears the
-		 * auto scroll interval timer. Paused scrolling may be restarted.
+		 * Flag indicating whether auto-scroll is paused because something in the widget
+		 * has keyboard focus.
 		 *
 		 * @access		public
+		 * @type		boolean
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		false
+		 */
+		var focus_paused = false;
+		
+		/**
+		 * Flag indicating whether auto-scroll is paused because the user navigated, until
+		 * the 'autoplay_resume' policy lets it start again.
 		 *
-		 * @param		autoscroll_event			Event			Custom 'pauseAutoScroll' event
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
 		 */
-		this.pauseAutoScroll = function(autoscroll_event) {
-			if (options.auto_scroll == true && auto_scroll_interval != null) {
-				auto_scroll_interval = clearInterval(auto_scroll_interval);
-				if (options.debug && console !== undefined) { console.log('pausing slider auto scroll'); }
-			}
-		}
+		var navigation_paused = false;
 		
 		/**
-		 * Checks to see if the auto_scroll option is true. If so, clears the
-		 * auto scroll interval timer and sets the auto_scroll option to false
-		 * so it does not start up again.
+		 * Flag indicating whether auto-scroll is paused because the page is hidden, eg:
+		 * in a background tab.
 		 *
 		 * @access		public
+		 * @type		boolean
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		false
+		 */
+		var page_hidden_paused = false;
+		
+		/**
+		 * Flag indicating whether auto-scroll is paused because the widget is scrolled
+		 * out of view.
 		 *
-		 * @param		autoscroll_event			Event			Custom 'stopAutoScroll' event
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
 		 */
-		this.stopAutoScroll = function(autoscroll_event) {
-			if (options.auto_scroll == true && auto_scroll_interval != null) {
-				auto_scroll_interval = clearInterval(auto_scroll_interval);
-				options.auto_scroll = false;
-				if (options.debug && console !== undefined) { console.log('stopping slider auto scroll'); }
-			}
-		}
+		var out_of_view_paused = false;
 		
-		/********* Navigation event handlers *********/
+		/**
+		 * The media elements in the slides shown which are playing, as far as their
+		 * adapters tell. Auto-scroll is held while there are any ('pause_for_media').
+		 *
+		 * @access		public
+		 * @type		Array
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		[]
+		 */
+		var playing_media = [];
 		
 		/**
-		 * Adds mouseover, mouseout, and click event handlers for the left (previous) navigation button.
+		 * The ID of the timeout set by setTimeout which resumes auto-scroll after the
+		 * user has stopped navigating, with autoplay_resume 'after_idle'.
 		 *
 		 * @access		public
+		 * @type		integer
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		null
 		 */
-		this.addLeftArrowHandlers = function() {
-			slider_widget_container.find('img.slider_left').on('click', slider_widget_container.slideNavigationClickHandler);
-			slider_widget_container.find('img.slider_left').on('mouseover', function() { if ($(this).hasClass('enabled')) {$(this).attr('src', options.image_base+'/slider-left-arrow-rollover.png'); }});
-			slider_widget_container.find('img.slider_left').on('mouseout', function() { if ($(this).hasClass('enabled')) {$(this).attr('src', options.image_base+'/slider-left-arrow-static.png'); }});
-		}
+		var autoplay_resume_timeout = null;
 		
 		/**
-		 * Adds mouseover, mouseout, and click event handlers for the right (next) navigation button.
+		 * The time (in milliseconds since the epoch) the 'after_idle' timeout resumes
+		 * auto-scroll, so a rebuild can set it again for the time left.
 		 *
 		 * @access		public
+		 * @type		integer
 		 * @memberOf	ContentSlider
-		 * @since		1.0
-		 * @updated		1.2
+		 * @since		1.3
+		 * @default		0
 		 */
-		this.addRightArrowHandlers = function() {
-			slider_widget_container.find('img.slider_right').on('click', slider_widget_container.slideNavigationClickHandler);
-			slider_widget_container.find('img.slider_right').on('mouseover', function() { if ($(this).hasClass('enabled')) {$(this).attr('src', options.image_base+'/slider-right-arrow-rollover.png'); }});
-			slider_widget_container.find('img.slider_right').on('mouseout', function() { if ($(this).hasClass('enabled')) {$(this).attr('src', options.image_base+'/slider-right-arrow-static.png'); }});
-		}
+		var autoplay_resume_time = 0;
 		
-		/********* Initialize the slider, or call a specific function *********/
-		if (typeof options_or_method == "string") {
-			/* Call a specific function */
+		/**
+		 * The IntersectionObserver watching whether the widget is in view, where the
+		 * browser has one. Null otherwise.
+		 *
+		 * @access		public
+		 * @type		IntersectionObserver
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var view_observer = null;
+		
+		/**
+		 * The observer which updates the height of the slides area when a slide's
+		 * size or content changes, with slider_height 'auto': a ResizeObserver, or a
+		 * MutationObserver where the browser has no ResizeObserver. Null otherwise.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var height_observer = null;
+		
+		/**
+		 * The state of the swipe or drag currently in progress: where it started, how
+		 * far it has moved, and which events are being followed. Null when not dragging.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var drag_state = null;
+		
+		/**
+		 * The time (in milliseconds) the last touch drag ended, so the mouse events
+		 * browsers emulate after a touch don't start another drag.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		0
+		 */
+		var last_touch_end_time = 0;
+		
+		/**
+		 * The time (in milliseconds) of the last mouse, pointer or touch press inside
+		 * the widget, so the focus a click leaves on a button isn't taken for keyboard
+		 * focus.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		0
+		 */
+		var last_pointer_down_time = 0;
+		
+		/**
+		 * The ID of the timeout set by setTimeout which refreshes the widget once the
+		 * window has stopped resizing.
+		 *
+		 * @access		public
+		 * @type		integer
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var resize_timeout = null;
+		
+		/**
+		 * The original values of every option named in the 'breakpoints' option, so
+		 * they can be restored when no breakpoint overrides them any more.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var breakpoint_base_options = null;
+		
+		/**
+		 * The AJAX request fetching the 'source' option's URL. Null when no request
+		 * is in progress.
+		 *
+		 * @access		public
+		 * @type		jqXHR
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var source_request = null;
+		
+		/**
+		 * Flag indicating whether the slides have been built from the 'source' option,
+		 * so initSlider() doesn't fetch them again when the widget is rebuilt.
+		 *
+		 * @access		public
+		 * @type		boolean
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		false
+		 */
+		var source_loaded = false;
+		
+		/**
+		 * The auto-scroll step waiting for the next slide's images to load: an object
+		 * holding the ID of the timeout that gives up waiting. Null when not waiting.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var autoplay_image_wait = null;
+		
+		/**
+		 * The element holding the pager: the 'div.current_slide_indicator' for dots
+		 * between the navigation buttons, otherwise a generated 'div.slider_pager'
+		 * (which may be outside the widget, in the 'pager_container'). Null when there
+		 * is no pager.
+		 *
+		 * @access		public
+		 * @type		jQuery
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var pager_element = null;
+		
+		/**
+		 * The slide change being passed on between synchronized widgets, while this
+		 * widget follows it: the origin's 'triggered_by' and every widget the change
+		 * has reached, so none of them passes it on a second time. Null otherwise.
+		 *
+		 * @access		public
+		 * @type		Object
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 * @default		null
+		 */
+		var sync_chain = null;
+		
+		//--------------------------------------------------------------------------
+		//
+		//  Methods
+		//
+		//--------------------------------------------------------------------------
+		
+		/**
+		 * Initializes the slider widget. Add 'n' slide page indicators (where n = the number
+		 * of slides given by the 'div.sliders div.slider_overflow div.slider' selector) plus
+		 * the left/right navigation buttons and their click and hover event handlers.
+		 * When rebuilding (see rebuild()) the widget carries on from the given state
+		 * instead of starting over, and 'contentSlider:init' isn't triggered again.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		rebuild_state		Object		State kept by rebuild(). Optional.
+		 */
+		this.initSlider = function(rebuild_state) {
+			slider_widget_container.applyBreakpoints();
+			slider_widget_container.validateOptions();
+			if (slider_widget_container.isFollower()) {
+				options.auto_scroll = false; // the widget we follow drives auto-scroll
+			}
+			if (options.source != null && ! source_loaded) {
+				// Build the slides first, this is called again once they are there
+				slider_widget_container.loadSource();
+				return;
+			}
+			total_slides = slider_widget_container.find('div.slider').length;
+			if (total_slides > 0 && slider_widget_container.getSlideIndexByName(options.start_slide) < 0) {
+				throw slider_widget_container.optionError('unknown start_slide "' + options.start_slide + '"');
+			}
+			
+			// First remember the original markup so destroy() can restore it...
+			var slides = slider_widget_container.find('div.slider');
+			slider_widget_container.rememberOriginalAttributes(slider_widget_container, ['class', 'role', 'aria-roledescription', 'aria-label']);
+			slider_widget_container.rememberOriginalAttributes(sliders_container, ['style', 'aria-live']);
+			slider_widget_container.rememberOriginalAttributes(overflow_contaner, ['style']);
+			sliders_container.scrollLeft(0);
+			strip_uses_transforms = (options.use_transforms && transform_support != null && $.fn.contentSlider.cssEasings[options.easing] !== undefined);
+			widget_initialized = true;
+			
+			// Then add the new stuff...
+			total_slides = slides.length;
+			
+			slider_widget_container.addClass('content_slider_widget');
+			slider_widget_container.attr({role:'region', 'aria-roledescription':'carousel'});
+			if (slider_widget_container.attr('aria-label') === undefined) {
+				slider_widget_container.attr('aria-label', options.aria_label);
+			}
+			sliders_container.attr('aria-live', 'polite');
+			
+			slider_widget_container.markSlides();
+			
+			// Add the navigation buttons
+			var slide_indicator_div = $("<div></div>").addClass('current_slide_indicator');
+			var left_slider_navigation = $("<button type='button'></button>")
+											.attr({'data-navigation-direction':'left',
+												   'aria-label':options.previous_label})
+											.addClass('slider_left')
+											.append(slider_widget_container.renderArrowContent('left', options.previous_label));
+			var right_slider_navigaton = $("<button type='button'></button>")
+											.attr({'data-navigation-direction':'right',
+												   'aria-label':options.next_label})
+											.addClass('slider_right enabled')
+											.append(slider_widget_container.renderArrowContent('right', options.next_label));
+			if (options.navigation_inline == false) {
+				slide_indicator_div.prepend(left_slider_navigation);
+				slide_indicator_div.append(right_slider_navigaton);
+				slider_widget_container.append(slide_indicator_div);
+			}
+			else {
+				left_slider_navigation.addClass('inline');
+				right_slider_navigaton.addClass('inline');
+				sliders_container.before(left_slider_navigation);
+				sliders_container.after(right_slider_navigaton);
+			}
+			slider_widget_container.renderAutoplayControls();
+			
+			// Add event handlers
+			slider_widget_container.on('startAutoScroll.contentSlider', slider_widget_container.startAutoScroll);
+			slider_widget_container.on('pauseAutoScroll.contentSlider', slider_widget_container.pauseAutoScroll);
+			slider_widget_container.on('stopAutoScroll.contentSlider', slider_widget_container.stopAutoScroll);
+			sliders_container.on('mouseenter.contentSlider', function() {
+				if (options.pause_on_hover) {
+					hover_paused = true;
+					slider_widget_container.trigger('pauseAutoScroll');
+				}
+			});
+			sliders_container.on('mouseleave.contentSlider', function() {
+				hover_paused = false;
+				slider_widget_container.resumeAutoScroll();
+			});
+			slider_widget_container.on('mouseleave.contentSlider', function() {
+				if (options.autoplay_resume == 'on_leave' && ! focus_paused) {
+					navigation_paused = false;
+					slider_widget_container.resumeAutoScroll();
+				}
+			});
+			slider_widget_container.on((window.PointerEvent !== undefined ? 'pointerdown.contentSlider' : 'mousedown.contentSlider touchstart.contentSlider'), function() {
+				last_pointer_down_time = new Date().getTime();
+			});
+			slider_widget_container.on('focusin.contentSlider', slider_widget_container.focusInHandler);
+			slider_widget_container.on('focusout.contentSlider', slider_widget_container.focusOutHandler);
+			slider_widget_container.on('keydown.contentSlider', slider_widget_container.keyboardNavigationHandler);
+			sliders_container.on((window.PointerEvent !== undefined ? 'pointerdown.contentSlider' : 'touchstart.contentSlider mousedown.contentSlider'), slider_widget_container.dragStartHandler);
+			sliders_container.on('dragstart.contentSlider', function(drag_event) { if (options.swipe) { drag_event.preventDefault(); } }); // no native image dragging
+			slider_widget_container.renderSlideIndicators();
+			slider_widget_container.addLeftArrowHandlers();
+			slider_widget_container.addRightArrowHandlers();
+			if (options.responsive || options.breakpoints != null) {
+				$(window).on('resize.contentSlider orientationchange.contentSlider', slider_widget_container.windowResizeHandler);
+			}
+			if (options.hash_navigation) {
+				$(window).on('hashchange.contentSlider popstate.contentSlider', slider_widget_container.urlChangeHandler);
+			}
+			if (options.pause_when_hidden) {
+				slider_widget_container.watchVisibility();
+			}
+			if (options.as_nav_for != null) {
+				slider_widget_container.addClass('slider_nav');
+				slider_widget_container.on('click.contentSlider', 'div.slider:not(.slider_clone)', slider_widget_container.navSlideClickHandler);
+			}
+			slider_widget_container.followSyncedWidgets(true);
+			
+			// set final width and height for overflow and sliders containers
+			current_slider = slides.eq(rebuild_state != null ? Math.min(rebuild_state.slide_index, slider_widget_container.getLastStartIndex()) :
+																 slider_widget_container.getStartSlideIndex());
+			slider_widget_container.loadSlideImagesAround(slider_widget_container.getCurrentSlideIndex());
+			slider_widget_container.updateSlideIndicators();
+			slider_widget_container.showOrHideCorrectNavigationImages(); // hide the left navigation by default
+			if (options.slider_height != 'auto') {
+				sliders_container.css({height:options.slider_height+'px'});
+			}
+			if (slider_widget_container.usesStackedLayout()) {
+				// Every transition but 'slide' stacks the slides and only shows the current one
+				slider_widget_container.addClass('stacked_slides');
+				slides.not(current_slider).hide();
+			}
+			slider_widget_container.layoutSlides();
+			slider_widget_container.watchSlideHeights();
+			slider_widget_container.watchMedia();
+			if (options.autoplay_media && rebuild_state == null) {
+				slider_widget_container.playShownMedia();
+			}
+			if (options.as_nav_for != null) {
+				var synced_slide_index = slider_widget_container.getSyncedSlideIndex();
+				slider_widget_container.markNavCurrent(synced_slide_index >= 0 ? synced_slide_index : slider_widget_container.getCurrentSlideIndex());
+			}
+			
+			// Add the current options and the widget itself as data on the slider_widget_container
+			slider_widget_container.data('content-slider-options', options);
+			slider_widget_container.data('content-slider', slider_widget_container);
+			
+			if (rebuild_state != null) {
+				// Carry on with auto-scroll as it was, paused for the same reasons
+				hover_paused = rebuild_state.hover_paused;
+				focus_paused = rebuild_state.focus_paused && $.contains(slider_widget_container.get(0), document.activeElement);
+				navigation_paused = rebuild_state.navigation_paused;
+				playing_media = rebuild_state.playing_media;
+				auto_scroll_remaining = rebuild_state.auto_scroll_remaining;
+				if (rebuild_state.autoplay_resume_delay != null) {
+					slider_widget_container.scheduleAutoScrollResume(rebuild_state.autoplay_resume_delay);
+				}
+				slider_widget_container.resumeAutoScroll();
+				return;
+			}
+			
+			slider_widget_container.triggerWidgetEvent('init', {from_index:null, to_index:slider_widget_container.getCurrentSlideIndex(), direction:null, triggered_by:'init'});
+			
+			// Start auto-scroll - wait half a second, then do it
+			if (options.auto_scroll) {
+				auto_scroll_start_timeout = setTimeout(function() { slider_widget_container.resumeAutoScroll(); }, 500);
+			}
+		}
+		
+		/**
+		 * Rebuilds the widget's controls and layout after options they depend on have
+		 * changed, staying on the current slide. A slide change in progress is finished
+		 * first. Auto-scroll keeps its time left and whatever was pausing it, and
+		 * 'contentSlider:init' isn't triggered again.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		changed_options		Object		Options to change once the old controls are gone. Optional.
+		 */
+		this.rebuild = function(changed_options) {
+			slider_widget_container.stopTransition(true);
+			var current_time = new Date().getTime();
+			var rebuild_state = {slide_index : slider_widget_container.getCurrentSlideIndex(),
+								 hover_paused : hover_paused,
+								 focus_paused : focus_paused,
+								 navigation_paused : navigation_paused,
+								 playing_media : playing_media,
+								 auto_scroll_remaining : (auto_scroll_playing ? Math.max(auto_scroll_timer_end - current_time, 0) : auto_scroll_remaining),
+								 autoplay_resume_delay : (autoplay_resume_timeout != null ? Math.max(autoplay_resume_time - current_time, 0) : null)};
+			slider_widget_container.destroy();
+			$.extend(options, changed_options);
+			slider_widget_container.initSlider(rebuild_state);
+		}
+		
+		/**
+		 * Checks the option values, throwing an error which names the widget's element
+		 * for the first invalid one.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.validateOptions = function() {
+			if (! $.isFunction($.fn.contentSlider.transitions[options.transition])) {
+				throw slider_widget_container.optionError('unknown transition "' + options.transition + '"');
+			}
+			if (! $.isFunction($.easing[options.easing])) {
+				throw slider_widget_container.optionError('unknown easing "' + options.easing + '"');
+			}
+			$.each({autoscroll_direction : ['left', 'right'],
+					pager : ['dots', 'thumbnails', 'numbers', false],
+					loop : ['wrap', 'rewind', false],
+					hash_navigation : [false, true, 'hash', 'replace', 'push'],
+					progress_indicator : [false, 'bar', 'ring'],
+					autoplay_resume : ['never', 'after_idle', 'on_leave'],
+					navigation_queue : ['drop', 'queue', 'latest']}, function(option_name, allowed_values) {
+				if ($.inArray(options[option_name], allowed_values) < 0) {
+					throw slider_widget_container.optionError('unknown ' + option_name + ' "' + options[option_name] + '"');
+				}
+			});
+			$.each(['slide_speed', 'auto_scroll_timeout', 'autoplay_resume_delay', 'swipe_threshold', 'swipe_velocity', 'resize_debounce', 'preload_neighbors', 'image_load_timeout'], function(index, option_name) {
+				if (! $.isNumeric(options[option_name]) || options[option_name] < 0) {
+					throw slider_widget_container.optionError(option_name + ' must be a number of at least 0, not "' + options[option_name] + '"');
+				}
+			});
+			if (options.slider_height != 'auto' && (! $.isNumeric(options.slider_height) || options.slider_height < 0)) {
+				throw slider_widget_container.optionError('slider_height must be "auto" or a number of at least 0, not "' + options.slider_height + '"');
+			}
+			$.each(['arrow_template', 'indicator_template', 'slide_template', 'on_init', 'on_before_slide', 'on_after_slide',
+					'on_autoplay_change', 'on_source_load', 'on_source_error'], function(index, option_name) {
+				if (options[option_name] != null && ! $.isFunction(options[option_name])) {
+					throw slider_widget_container.optionError(option_name + ' must be a function');
+				}
+			});
+			if (! (options.slides_per_view >= 1 && options.slides_per_move >= 1)) {
+				throw slider_widget_container.optionError('slides_per_view and slides_per_move must be at least 1');
+			}
+			if (options.slides_per_view > 1 && options.transition != 'slide') {
+				throw slider_widget_container.optionError('slides_per_view greater than 1 requires the "slide" transition');
+			}
+		}
+		
+		/**
+		 * Returns the message of an error about the widget's options, naming its element.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		message				String		What is wrong, eg: 'unknown pager "x"'
+		 *
+		 * @returns		String
+		 */
+		this.optionError = function(message) {
+			return 'ContentSlider widget: ' + message + ' on ' + describeElement(slider_widget_container.get(0)) + '.';
+		}
+		
+		/**
+		 * Tears the slider widget down: clears every timer, unbinds every handler in
+		 * the '.contentSlider' event namespace, removes the generated indicators and
+		 * navigation buttons plus any slides cloned by an unfinished wraparound, and
+		 * returns the container to the markup it had before initSlider() ran.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.destroy = function() {
+			if (source_request != null) {
+				source_request.abort();
+				source_request = null;
+			}
+			slider_widget_container.showSourceStatus(null);
+			if (! widget_initialized) {
+				slider_widget_container.removeData('content-slider'); // may still be loading its 'source'
+				return;
+			}
+			
+			// Clear the timers and any running animation
+			auto_scroll_start_timeout = clearTimeout(auto_scroll_start_timeout);
+			auto_scroll_timer = clearTimeout(auto_scroll_timer);
+			auto_scroll_playing = false;
+			auto_scroll_remaining = null;
+			if (progress_animation != null) {
+				progress_animation.stop();
+				progress_animation = null;
+			}
+			progress_element = null;
+			resize_timeout = clearTimeout(resize_timeout);
+			slider_widget_container.stopTransition(false);
+			currently_animating = false;
+			slider_widget_container.stopDragging();
+			if (wraparound_clones != null) {
+				wraparound_clones.remove();
+				wraparound_clones = null;
+			}
+			
+			// Unbind the handlers and remove the generated elements
+			slider_widget_container.off('.contentSlider');
+			sliders_container.off('.contentSlider');
+			slider_widget_container.find('img').off('.contentSlider');
+			slider_widget_container.cancelAutoScrollImageWait();
+			$(window).off('.contentSlider', slider_widget_container.windowResizeHandler);
+			$(window).off('.contentSlider', slider_widget_container.urlChangeHandler);
+			$(document).off('.contentSlider', slider_widget_container.pageVisibilityHandler);
+			if (view_observer != null) {
+				view_observer.disconnect();
+				view_observer = null;
+			}
+			if (height_observer != null) {
+				height_observer.disconnect();
+				height_observer = null;
+			}
+			slider_widget_container.unwatchMedia();
+			autoplay_resume_timeout = clearTimeout(autoplay_resume_timeout);
+			slider_widget_container.followSyncedWidgets(false);
+			sync_chain = null;
+			slider_widget_container.removePager();
+			slider_widget_container.find('div.current_slide_indicator').remove();
+			slider_widget_container.find('button[data-navigation-direction]').remove();
+			slider_widget_container.find('div.slider_progress, button.slider_play_pause').remove();
+			
+			// Restore the original markup
+			sliders_container.scrollLeft(0);
+			slider_widget_container.setSlidesFocusable(slider_widget_container.find('div.slider'), true);
+			slider_widget_container.restoreOriginalAttributes(slider_widget_container.add(sliders_container).add(overflow_contaner).add(slider_widget_container.find('div.slider')));
+			slider_widget_container.removeData('content-slider-options');
+			slider_widget_container.removeData('content-slider');
+			
+			current_slider = null;
+			total_slides = 0;
+			hover_paused = false;
+			focus_paused = false;
+			navigation_paused = false;
+			page_hidden_paused = false;
+			out_of_view_paused = false;
+			playing_media = [];
+			strip_offset = 0;
+			widget_initialized = false;
+		}
+		
+		/**
+		 * Recalculates every dimension of the widget: re-applies the 'breakpoints' for
+		 * the current container width, resizes the slides (in 'responsive' mode), the
+		 * overflow and sliders containers, and keeps the current slide in view. Call it
+		 * after showing a widget that was initialized while hidden.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.refresh = function() {
+			if (! widget_initialized) {
+				return;
+			}
+			
+			// Finish any slide change in progress so we measure the final layout
+			slider_widget_container.stopTransition(true);
+			
+			if (slider_widget_container.applyBreakpoints()) {
+				// The navigation, indicators or layout depend on the changed options
+				slider_widget_container.rebuild();
+			}
+			else {
+				slider_widget_container.layoutSlides();
+			}
+		}
+		
+		/**
+		 * Sizes the slides (in 'responsive' mode), the overflow container and the
+		 * sliders container, and scrolls the current slide into view.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.layoutSlides = function() {
+			var slides = slider_widget_container.find('div.slider');
+			if (options.responsive) {
+				var available_width = slider_widget_container.width();
+				sliders_container.siblings('button.inline').each(function(index, button) {
+					available_width -= $(button).outerWidth(true);
+				});
+				slides.css({width: Math.max(Math.floor(available_width / options.slides_per_view), 0)+'px'});
+			}
+			
+			var full_sliders_width = 0;
+			slides.each(function(index, slide) {
+				full_sliders_width += $(slide).width();
+			});
+			overflow_contaner.css({width: (slider_widget_container.usesStackedLayout() ? current_slider.width() : full_sliders_width)+'px'});
+			sliders_container.css({width: slider_widget_container.getVisibleWidth()+'px'});
+			slider_widget_container.setStripOffset(slider_widget_container.usesStackedLayout() ? 0 : current_slider.width() * current_slider.index());
+			slider_widget_container.updateHeight(false);
+		}
+		
+		/**
+		 * With slider_height 'auto', sizes the slides area to the height of the slides
+		 * shown, animating it along with the transition or setting it straight away.
+		 * The animation has its own queue, so it runs alongside the transition.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		animate				Boolean		Flag indicating whether to animate to the new height
+		 * @param		duration			integer		Length (in milliseconds) of the animation. Default 'slide_speed'.
+		 */
+		this.updateHeight = function(animate, duration) {
+			if (options.slider_height != 'auto' || current_slider == null) {
+				return;
+			}
+			var new_height = slider_widget_container.getSlidesHeight(slider_widget_container.getCurrentSlideIndex());
+			sliders_container.stop('contentSliderHeight', true);
+			if (animate && new_height != sliders_container.height()) {
+				sliders_container.animate({height:new_height+'px'}, {duration:(duration != null ? duration : options.slide_speed),
+																	 easing:options.easing,
+																	 queue:'contentSliderHeight'}).dequeue('contentSliderHeight');
+			}
+			else {
+				sliders_container.css({height:new_height+'px'});
+			}
+		}
+		
+		/**
+		 * Returns the height (in pixels) of the tallest of the slides_per_view slides
+		 * starting at the given index.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the first visible slide
+		 *
+		 * @returns		integer
+		 */
+		this.getSlidesHeight = function(slide_index) {
+			var slides_height = 0;
+			slider_widget_container.find('div.slider').not('.slider_clone').slice(slide_index, slide_index + options.slides_per_view).each(function(index, slide) {
+				slides_height = Math.max(slides_height, $(slide).outerHeight());
+			});
+			return slides_height;
+		}
+		
+		/**
+		 * With slider_height 'auto', (re)starts watching the slides for changes to their
+		 * height: with a ResizeObserver where the browser has one, else with image load
+		 * events and a MutationObserver on their content.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.watchSlideHeights = function() {
+			if (options.slider_height != 'auto') {
+				return;
+			}
+			if (height_observer != null) {
+				height_observer.disconnect();
+				height_observer = null;
+			}
+			var slides = slider_widget_container.find('div.slider');
+			if (window.ResizeObserver !== undefined) {
+				height_observer = new ResizeObserver(slider_widget_container.slideHeightChangeHandler);
+				slides.each(function(index, slide) { height_observer.observe(slide); });
+				return;
+			}
+			slides.find('img').off('load.contentSlider', slider_widget_container.slideHeightChangeHandler)
+				.on('load.contentSlider', slider_widget_container.slideHeightChangeHandler);
+			if (window.MutationObserver !== undefined) {
+				height_observer = new MutationObserver(slider_widget_container.slideHeightChangeHandler);
+				height_observer.observe(overflow_contaner.get(0), {childList:true, characterData:true, subtree:true});
+			}
+		}
+		
+		/**
+		 * Handles a change that may have changed the height of a slide, animating the
+		 * slides area to the new height.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.slideHeightChangeHandler = function() {
+			slider_widget_container.updateHeight(true);
+		}
+		
+		/**
+		 * Shows the slide at the given zero-based index straight away, without a
+		 * transition or any events.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide to show
+		 */
+		this.jumpToIndex = function(slide_index) {
+			var slides = slider_widget_container.find('div.slider');
+			var new_slider = slides.eq(Math.min(slide_index, slider_widget_container.getLastStartIndex()));
+			if (slider_widget_container.usesStackedLayout()) {
+				slides.not(new_slider).hide();
+				new_slider.show();
+			}
+			current_slider = new_slider;
+			slider_widget_container.pauseHiddenMedia(slider_widget_container.getCurrentSlideIndex());
+			slider_widget_container.loadSlideImagesAround(slider_widget_container.getCurrentSlideIndex());
+			slider_widget_container.layoutSlides();
+			slider_widget_container.updateSlideIndicators();
+			slider_widget_container.showOrHideCorrectNavigationImages();
+		}
+		
+		/**
+		 * Returns the index of the slide to show first: the one named in the URL (with
+		 * 'hash_navigation'), else the one shown by a widget named in 'sync_with' or
+		 * 'as_nav_for', else the one given by the 'start_slide' option.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getStartSlideIndex = function() {
+			var start_slide_index = (options.hash_navigation ? slider_widget_container.getSlideIndexFromUrl() : -1);
+			if (start_slide_index < 0) {
+				start_slide_index = slider_widget_container.getSyncedSlideIndex();
+			}
+			if (start_slide_index < 0) {
+				start_slide_index = slider_widget_container.getSlideIndexByName(options.start_slide);
+			}
+			return Math.max(Math.min(start_slide_index, slider_widget_container.getLastStartIndex()), 0);
+		}
+		
+		/**
+		 * Returns the index of the slide with the given zero-based index or name, or -1
+		 * if there is none. A slide's name is its 'data-slide-name' attribute, or
+		 * the hash prefix followed by its one-based number; its 'id' is accepted too.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_name			mixed		Zero-based index (integer) or name (String) of the slide
+		 *
+		 * @returns		integer
+		 */
+		this.getSlideIndexByName = function(slide_name) {
+			if (typeof slide_name == 'number') {
+				return (slide_name >= 0 && slide_name < total_slides && slide_name % 1 == 0 ? slide_name : -1);
+			}
+			var slide_index = -1;
+			slider_widget_container.find('div.slider').slice(0, total_slides).each(function(index) {
+				if (slider_widget_container.getSlideName(index) == slide_name || this.id == slide_name) {
+					slide_index = index;
+					return false;
+				}
+			});
+			return slide_index;
+		}
+		
+		/**
+		 * Returns the name of the slide at the given index: its 'data-slide-name'
+		 * attribute, or the hash prefix followed by its one-based number. Not its 'id', so
+		 * putting the name in location.hash doesn't scroll the page to the slide.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide
+		 *
+		 * @returns		String
+		 */
+		this.getSlideName = function(slide_index) {
+			var slide = slider_widget_container.find('div.slider').eq(slide_index);
+			return slide.attr('data-slide-name') || slider_widget_container.getHashPrefix() + (slide_index + 1);
+		}
+		
+		/**
+		 * Returns what the names of slides without a 'data-slide-name' start with: the
+		 * 'hash_prefix' option, else the widget's id followed by '-slide-', else 'slide-'.
+		 * So two widgets with ids never follow each other's URL hash.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		String
+		 */
+		this.getHashPrefix = function() {
+			if (options.hash_prefix != null) {
+				return options.hash_prefix;
+			}
+			var widget_id = slider_widget_container.attr('id');
+			return (widget_id ? widget_id + '-slide-' : 'slide-');
+		}
+		
+		/**
+		 * Returns the index of the slide named in the URL hash, or -1 if there is none.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getSlideIndexFromUrl = function() {
+			var url_hash = window.location.hash.replace(/^#/, '');
+			if (url_hash == '') {
+				return -1;
+			}
+			try {
+				url_hash = decodeURIComponent(url_hash);
+			}
+			catch (uri_error) {
+				return -1;
+			}
+			return slider_widget_container.getSlideIndexByName(url_hash);
+		}
+		
+		/**
+		 * Puts the name of the current slide in the URL hash, the way the
+		 * 'hash_navigation' option says: by setting location.hash, or through
+		 * history.replaceState or history.pushState (where supported). Slide changes
+		 * the user didn't make (auto-scroll, a synchronized widget) never add a history
+		 * entry: they replace the URL, or leave it alone where replaceState is missing.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		triggered_by		String		What caused the slide change. Options: 'user', 'autoplay', 'sync'
+		 */
+		this.writeSlideToUrl = function(triggered_by) {
+			if (following_url) {
+				return;
+			}
+			var slide_hash = '#' + encodeURIComponent(slider_widget_container.getSlideName(slider_widget_container.getCurrentSlideIndex()));
+			written_url_hash = slide_hash; // its hashchange is ignored
+			if (window.location.hash == slide_hash) {
+				return;
+			}
+			var url_mode = (triggered_by == 'user' ? options.hash_navigation : 'replace');
+			if (url_mode == 'push' && window.history && window.history.pushState) {
+				window.history.pushState(window.history.state, '', slide_hash);
+			}
+			else if (url_mode == 'replace' && window.history && window.history.replaceState) {
+				window.history.replaceState(window.history.state, '', slide_hash);
+			}
+			else if (triggered_by == 'user') {
+				window.location.hash = slide_hash;
+			}
+		}
+		
+		/**
+		 * Handles the URL hash changing, eg: through the browser's back and forward
+		 * buttons, by sliding to the slide it names. A hash written by a widget
+		 * (this one or another) is ignored. The URL wins over a running slide change:
+		 * it is finished straight away, and navigation buffered meanwhile is dropped.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		url_event			Event		Hashchange or popstate event triggered on the window
+		 */
+		this.urlChangeHandler = function(url_event) {
+			if (window.location.hash == written_url_hash) {
+				return;
+			}
+			var slide_index = slider_widget_container.getSlideIndexFromUrl();
+			if (slide_index < 0) {
+				return;
+			}
+			written_url_hash = window.location.hash; // the popstate and hashchange of one change are followed once
+			following_url = true;
+			slider_widget_container.stopTransition(true);
+			following_url = false;
+			slider_widget_container.slideToIndex(slide_index, null);
+		}
+		
+		/**
+		 * Marks the first and last slides, and gives every slide its carousel role and
+		 * accessible label. The original attributes of slides seen for the first time
+		 * are remembered so destroy() can restore them.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.markSlides = function() {
+			var slides = slider_widget_container.find('div.slider');
+			slides.each(function(index, slide) {
+				if ($(slide).data('content-slider-original-attributes') == null) {
+					slider_widget_container.rememberOriginalAttributes($(slide), ['class', 'style', 'data-first-slide', 'data-last-slide', 'role', 'aria-roledescription', 'aria-label', 'aria-hidden', 'aria-current']);
+				}
+				$(slide).removeAttr('data-first-slide').removeAttr('data-last-slide');
+				if (index == 0) { $(slide).attr('data-first-slide', true); }
+				else if (index == slides.length - 1) { $(slide).attr('data-last-slide', true); }
+				$(slide).attr({role:'group', 'aria-roledescription':'slide', 'aria-label':slider_widget_container.formatLabel(options.slide_label, index, slides.length)});
+			});
+		}
+		
+		/**
+		 * (Re)creates the pager chosen by the 'pager' option and binds its click
+		 * handlers. Dots and thumbnails get one indicator button per page (a page is a
+		 * single slide unless slides_per_view is more than 1). The pager goes in the
+		 * 'pager_container' if there is one, else between the navigation buttons; with
+		 * inline navigation, dots are left out and other pagers go after the slides.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.renderSlideIndicators = function() {
+			slider_widget_container.removePager();
+			var previous_button = slider_widget_container.find('div.current_slide_indicator button.slider_left');
+			if (options.pager == false || (options.pager == 'dots' && options.pager_container == null && options.navigation_inline != false)) {
+				return;
+			}
+			
+			if (options.pager == 'dots' && options.pager_container == null) {
+				pager_element = slider_widget_container.find('div.current_slide_indicator');
+			}
+			else {
+				pager_element = $("<div></div>").addClass('slider_pager slider_pager_' + options.pager);
+				if (options.pager_container != null) {
+					$(options.pager_container).first().append(pager_element);
+				}
+				else if (options.navigation_inline == false) {
+					previous_button.after(pager_element);
+				}
+				else {
+					slider_widget_container.append(pager_element);
+				}
+			}
+			if (options.pager == 'numbers') {
+				pager_element.attr('aria-hidden', 'true'); // every slide already has a 'Slide x of y' label
+				return;
+			}
+			
+			var page_count = (total_slides > 0 ? slider_widget_container.getPageCount() : 0);
+			var indicator_buttons = [];
+			for (var page_index = 0; page_index < page_count; page_index++) {
+				var indicator_label = (options.slides_per_view > 1 ?
+									   slider_widget_container.formatLabel(options.page_label, page_index, page_count) :
+									   slider_widget_container.formatLabel(options.slide_label, page_index, total_slides));
+				indicator_buttons.push($("<button type='button'></button>")
+											.attr('aria-label', indicator_label)
+											.addClass('slide_indicator')
+											.append(slider_widget_container.renderIndicatorContent(page_index, indicator_label))
+											.on('click.contentSlider', slider_widget_container.slideIndicatorClickHandler)
+											.get(0));
+			}
+			if (pager_element.hasClass('slider_pager')) {
+				pager_element.append(indicator_buttons);
+			}
+			else {
+				previous_button.after(indicator_buttons);
+			}
+		}
+		
+		/**
+		 * Removes the pager's indicator buttons, and the generated 'div.slider_pager'
+		 * (wherever it was put) if there is one.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.removePager = function() {
+			if (pager_element != null) {
+				if (pager_element.hasClass('slider_pager')) { pager_element.remove(); }
+				else { pager_element.find('button.slide_indicator').remove(); }
+				pager_element = null;
+			}
+		}
+		
+		/**
+		 * Changes the set of slides while the widget is running. Any slide change in
+		 * progress (including a wraparound and its cloned slides) is finished first
+		 * and navigation buffered behind it is dropped,
+		 * then 'change_slides' is called to add, remove or replace 'div.slider'
+		 * elements in the overflow container. Afterwards the slides, indicators and
+		 * layout are brought up to date and the slide that was current stays selected
+		 * if it is still there (otherwise the one that took its place is shown).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		change_slides		Function	Called with the current slides (jQuery) to change them
+		 */
+		this.updateSlides = function(change_slides) {
+			slider_widget_container.stopTransition(true);
+			slider_widget_container.stopDragging();
+			
+			var slides = slider_widget_container.find('div.slider');
+			var current_slide_index = slider_widget_container.getCurrentSlideIndex();
+			var current_slide_element = slides.get(current_slide_index);
+			slider_widget_container.unwatchMedia();
+			change_slides(slides);
+			
+			slides = slider_widget_container.find('div.slider');
+			total_slides = slides.length;
+			slider_widget_container.markSlides();
+			slider_widget_container.renderSlideIndicators();
+			slider_widget_container.watchSlideHeights();
+			slider_widget_container.watchMedia();
+			
+			var new_slide_index = slides.index(current_slide_element);
+			if (new_slide_index < 0) {
+				new_slide_index = Math.min(current_slide_index, total_slides - 1);
+			}
+			slider_widget_container.jumpToIndex(new_slide_index);
+		}
+		
+		/**
+		 * Returns the given content as a 'div.slider' element: a single 'div.slider'
+		 * is used as is, anything else is wrapped in a new one.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_content		mixed		HTML string, element or jQuery object
+		 *
+		 * @returns		jQuery
+		 */
+		this.createSlide = function(slide_content) {
+			var content_wrapper = $("<div></div>").append(slide_content);
+			var content_nodes = content_wrapper.contents().filter(function() {
+				return this.nodeType != 3 || $.trim(this.nodeValue) != ''; // ignore whitespace around the markup
+			});
+			if (content_nodes.length == 1 && content_nodes.is('div.slider')) {
+				return content_nodes.detach();
+			}
+			return $("<div></div>").addClass('slider').append(content_wrapper.contents());
+		}
+		
+		/**
+		 * Fetches the slide records named by the 'source' option (or takes them straight
+		 * from it, when it is an array) and builds the slides from them, showing the
+		 * loading state meanwhile. Creates the 'div.sliders' and 'div.slider_overflow'
+		 * containers if the markup doesn't have them.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.loadSource = function() {
+			if (source_request != null) {
+				source_request.abort();
+				source_request = null;
+			}
+			if (sliders_container.length == 0) {
+				sliders_container = $("<div></div>").addClass('sliders').appendTo(slider_widget_container);
+			}
+			if (overflow_contaner.length == 0) {
+				overflow_contaner = $("<div></div>").addClass('slider_overflow').appendTo(sliders_container);
+			}
+			slider_widget_container.data('content-slider', slider_widget_container); // so 'reload' and 'destroy' work while loading
+			slider_widget_container.showSourceStatus('loading');
+			
+			if ($.isArray(options.source)) {
+				slider_widget_container.renderSource(options.source);
+				return;
+			}
+			source_request = $.ajax({url:options.source, dataType:'json'});
+			source_request.done(function(slide_records) {
+				source_request = null;
+				slider_widget_container.renderSource(slide_records);
+			});
+			source_request.fail(function(jq_xhr, text_status, error_thrown) {
+				if (text_status == 'abort') {
+					return;
+				}
+				source_request = null;
+				slider_widget_container.showSourceStatus('error');
+				slider_widget_container.triggerWidgetEvent('sourceError', {source:options.source, status:text_status, error:error_thrown});
+			});
+		}
+		
+		/**
+		 * Builds the slides from the given 'source' records with the 'slide_template'
+		 * option, replacing any slides already there, and initializes the widget if it
+		 * isn't yet. An empty (or non-array) set of records shows the error state.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_records		Array		The records, one per slide
+		 */
+		this.renderSource = function(slide_records) {
+			if (! $.isArray(slide_records) || slide_records.length == 0) {
+				slider_widget_container.showSourceStatus('error');
+				slider_widget_container.triggerWidgetEvent('sourceError', {source:options.source, status:'empty', error:null});
+				return;
+			}
+			
+			var slide_contents = [];
+			for (var record_index = 0; record_index < slide_records.length; record_index++) {
+				slide_contents.push(slider_widget_container.renderSourceSlide(slide_records[record_index], record_index));
+			}
+			slider_widget_container.showSourceStatus(null);
+			if (widget_initialized) {
+				slider_widget_container.replaceSlides(slide_contents);
+			}
+			else {
+				overflow_contaner.find('div.slider').remove();
+				$.each(slide_contents, function(index, slide_content) {
+					overflow_contaner.append(slider_widget_container.createSlide(slide_content));
+				});
+				source_loaded = true;
+				slider_widget_container.initSlider();
+			}
+			slider_widget_container.triggerWidgetEvent('sourceLoad', {source:options.source, records:slide_records});
+		}
+		
+		/**
+		 * Returns the content of the slide for a 'source' record: the 'slide_template'
+		 * option's output, else the record itself (if it is a string) or its 'html'
+		 * property.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_record		mixed		The record
+		 * @param		index				integer		Zero-based index of the record
+		 *
+		 * @returns		mixed				HTML string, element or jQuery object
+		 */
+		this.renderSourceSlide = function(slide_record, index) {
+			if ($.isFunction(options.slide_template)) {
+				return options.slide_template.call(slider_widget_container.get(0), slide_record, index);
+			}
+			return (typeof slide_record == 'string' ? slide_record : slide_record.html);
+		}
+		
+		/**
+		 * Shows the loading or error state of the 'source': adds the 'is-loading' or
+		 * 'is-error' class to the widget and a 'div.slider_status' message. Pass null
+		 * to clear it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		source_state		String		State to show. Options: 'loading', 'error', null
+		 */
+		this.showSourceStatus = function(source_state) {
+			slider_widget_container.children('div.slider_status').remove();
+			slider_widget_container.removeClass('is-loading is-error').removeAttr('aria-busy');
+			if (slider_widget_container.attr('class') === '') {
+				slider_widget_container.removeAttr('class'); // leave no trace on markup that had no classes
+			}
+			if (source_state != null) {
+				slider_widget_container.addClass('is-' + source_state);
+				if (source_state == 'loading') {
+					slider_widget_container.attr('aria-busy', 'true');
+				}
+				slider_widget_container.append($("<div role='status'></div>")
+													.addClass('slider_status')
+													.text(source_state == 'loading' ? options.loading_text : options.error_text));
+			}
+		}
+		
+		/**
+		 * Applies the settings of the 'breakpoints' option entry with the largest
+		 * minimum width that fits the container, and restores the original value of
+		 * any setting that no longer applies.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		boolean				True if a setting that changes the widget's markup or layout changed
+		 */
+		this.applyBreakpoints = function() {
+			if (options.breakpoints == null) {
+				return false;
+			}
+			
+			// Remember the values the breakpoints override, the first time through
+			if (breakpoint_base_options == null) {
+				breakpoint_base_options = {};
+				$.each(options.breakpoints, function(min_width, breakpoint_settings) {
+					$.each(breakpoint_settings, function(option_name) {
+						breakpoint_base_options[option_name] = options[option_name];
+					});
+				});
+			}
+			
+			var container_width = slider_widget_container.width();
+			var active_min_width = null;
+			$.each(options.breakpoints, function(min_width) {
+				min_width = parseInt(min_width, 10);
+				if (min_width <= container_width && (active_min_width == null || min_width > active_min_width)) {
+					active_min_width = min_width;
+				}
+			});
+			var active_settings = (active_min_width == null ? {} : options.breakpoints[active_min_width]);
+			
+			var layout_changed = false;
+			$.each(breakpoint_base_options, function(option_name, base_value) {
+				var new_value = (active_settings.hasOwnProperty(option_name) ? active_settings[option_name] : base_value);
+				if (options[option_name] !== new_value) {
+					options[option_name] = new_value;
+					if ($.inArray(option_name, ['navigation_inline', 'slides_per_view', 'slides_per_move', 'transition', 'responsive', 'pager']) >= 0) {
+						layout_changed = true;
+					}
+				}
+			});
+			return layout_changed;
+		}
+		
+		/**
+		 * Handles window resizes and orientation changes, refreshing the widget once
+		 * they have stopped for 'resize_debounce' milliseconds.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		resize_event		Event		Resize or orientationchange event triggered on the window
+		 */
+		this.windowResizeHandler = function(resize_event) {
+			clearTimeout(resize_timeout);
+			resize_timeout = setTimeout(function() { slider_widget_container.refresh(); }, options.resize_debounce);
+		}
+		
+		/**
+		 * Stores the current value of each named attribute on each element, so that
+		 * restoreOriginalAttributes() can put them back (or remove them, if they were
+		 * not there) when the widget is destroyed.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		elements			jQuery		The elements whose attributes will be changed by the widget
+		 * @param		attribute_names		Array		Names of the attributes to remember
+		 */
+		this.rememberOriginalAttributes = function(elements, attribute_names) {
+			elements.each(function(index, element) {
+				var original_attributes = {};
+				$.each(attribute_names, function(name_index, attribute_name) {
+					original_attributes[attribute_name] = $(element).attr(attribute_name);
+				});
+				$(element).data('content-slider-original-attributes', original_attributes);
+			});
+		}
+		
+		/**
+		 * Restores the attributes stored by rememberOriginalAttributes() on each element.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		elements			jQuery		The elements to restore
+		 */
+		this.restoreOriginalAttributes = function(elements) {
+			elements.each(function(index, element) {
+				var original_attributes = $(element).data('content-slider-original-attributes');
+				if (original_attributes != null) {
+					$.each(original_attributes, function(attribute_name, original_value) {
+						if (original_value === undefined) { $(element).removeAttr(attribute_name); }
+						else { $(element).attr(attribute_name, original_value); }
+					});
+					$(element).removeData('content-slider-original-attributes');
+				}
+			});
+		}
+		
+		/**
+		 * Returns an accessible label built from a label option such as 'slide_label',
+		 * replacing '{index}' with the one-based index and '{count}' with the count.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		label_template		String		The label option, eg: 'Slide {index} of {count}'
+		 * @param		index				integer		Zero-based index of the slide or page
+		 * @param		count				integer		Total number of slides or pages
+		 *
+		 * @returns		String
+		 */
+		this.formatLabel = function(label_template, index, count) {
+			return label_template.replace('{index}', index + 1).replace('{count}', count);
+		}
+		
+		/**
+		 * Handles when the user clicks a radio button slide indicator. Will slide
+		 * the slider widget left or right depending on if the user clicks a
+		 * radio button lower or higher than the currently selected one.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		click_event			Event		Click event triggered when the user clicks on a slide indicator image
+		 */
+		this.slideIndicatorClickHandler = function(click_event) {
+			var clicked_slide_indicator = $(click_event.currentTarget);
+			var page_index = pager_element.find('button.slide_indicator').index(clicked_slide_indicator);
+			var page_start_index = slider_widget_container.getPageStartIndex(page_index);
+			if (page_start_index != slider_widget_container.getCurrentSlideIndex()) {
+				slider_widget_container.slideToIndex(page_start_index, null);
+			}
+		}
+		
+		/**
+		 * Slides the slider widget directly to the slide at the given zero-based index,
+		 * left or right depending on whether it is lower or higher than the currently
+		 * selected one. While another slide is animating, the user's navigation is
+		 * kept for later or ignored ('navigation_queue'). When several slides are in
+		 * view, the index is capped so the last page stays full.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		new_slide_index		integer		Zero-based index of the slide to show
+		 * @param		auto_scroll_event	Boolean		Flag indicating whether this is being triggered by an auto-scroll event. Default null.
+		 */
+		this.slideToIndex = function(new_slide_index, auto_scroll_event) {
+			if (currently_animating && auto_scroll_event == null) {
+				slider_widget_container.bufferNavigation(function() { slider_widget_container.slideToIndex(new_slide_index, null); });
+				return;
+			}
+			new_slide_index = Math.min(new_slide_index, slider_widget_container.getLastStartIndex()); // keep slides_per_view slides in view
+			if (! currently_animating && new_slide_index != slider_widget_container.getCurrentSlideIndex()) {
+				var cur_slide_index = slider_widget_container.getCurrentSlideIndex();
+				var slide_event_data = {from_index:cur_slide_index,
+										to_index:new_slide_index,
+										direction:(new_slide_index < cur_slide_index ? 'left' : 'right'),
+										triggered_by:slider_widget_container.getSlideTrigger(auto_scroll_event)};
+				if (slider_widget_container.triggerWidgetEvent('beforeSlide', slide_event_data).isDefaultPrevented()) {
+					return;
+				}
+				currently_animating = true;
+				
+				if (auto_scroll_event == null && options.stop_on_click) {
+					// Stop the auto-scroll (for good, or until the 'autoplay_resume' policy restarts it)
+					slider_widget_container.interruptAutoScroll();
+				}
+				
+				slider_widget_container.syncSlideChange(slide_event_data);
+				slider_widget_container.pauseHiddenMedia(new_slide_index);
+				var from_slide = current_slider;
+				slider_widget_container.loadSlideImagesAround(new_slide_index);
+				current_slider = slider_widget_container.find('div.slider').eq(new_slide_index);
+				slider_widget_container.runTransition(from_slide, current_slider, slide_event_data.direction, function() {
+					slider_widget_container.finishSlideChange(slide_event_data);
+				}, slider_widget_container.getTransitionDuration(Math.abs(new_slide_index - cur_slide_index)));
+			}
+		}
+		
+		/**
+		 * Handles when the user clicks the Next or Previous slide navigation buttons.
+		 * Will slide the slider widget left or right depending on which one the user
+		 * clicks.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		click_event			Event		Click event triggered when the user clicks on the previous or next button
+		 * @param		auto_scroll_event	Boolean		Flag indicating whether this is being triggered by an auto-scroll event or a click. Default null.
+		 */
+		this.slideNavigationClickHandler = function(click_event, auto_scroll_event) {
+			var clicked_slide_navigator = $(click_event.currentTarget);
+			if (clicked_slide_navigator.hasClass('enabled') ||
+				auto_scroll_event != null) {
+				slider_widget_container.slideInDirection(clicked_slide_navigator.attr('data-navigation-direction'), auto_scroll_event);
+			}
+		}
+		
+		/**
+		 * Slides the slider widget one step (slides_per_move slides) to the left or right.
+		 * Going past the last (or first) page wraps around to the first (or last) one,
+		 * rewinds or stays put, depending on the 'loop' option. While another slide is
+		 * animating, the user's navigation is kept for later or ignored ('navigation_queue').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		direction			String		Direction to slide. Options: 'left', 'right'
+		 * @param		auto_scroll_event	Boolean		Flag indicating whether this is being triggered by an auto-scroll event. Default null.
+		 */
+		this.slideInDirection = function(direction, auto_scroll_event) {
+			if (currently_animating && auto_scroll_event == null) {
+				slider_widget_container.bufferNavigation(function() { slider_widget_container.slideInDirection(direction, null); });
+			}
+			else if (! currently_animating) {
+				var cur_slide_index = slider_widget_container.getCurrentSlideIndex();
+				var slide_event_data = {from_index:cur_slide_index,
+										to_index:slider_widget_container.getNextSlideIndex(direction),
+										direction:direction,
+										triggered_by:slider_widget_container.getSlideTrigger(auto_scroll_event)};
+				if (slide_event_data.to_index == cur_slide_index ||
+					slider_widget_container.triggerWidgetEvent('beforeSlide', slide_event_data).isDefaultPrevented()) {
+					return;
+				}
+				currently_animating = true;
+				if (options.debug && console !== undefined) { console.log('scrolling!'); }
+				if (auto_scroll_event == null && options.stop_on_click) {
+					// Stop the auto-scroll (for good, or until the 'autoplay_resume' policy restarts it)
+					slider_widget_container.interruptAutoScroll();
+				}
+				
+				slider_widget_container.syncSlideChange(slide_event_data);
+				slider_widget_container.pauseHiddenMedia(slide_event_data.to_index);
+				var from_slide = current_slider;
+				slider_widget_container.loadSlideImagesAround(slide_event_data.to_index); // before any cloning, so clones don't load them again
+				var original_slides = slider_widget_container.find('div.slider');
+				var wraps_around = (direction == 'right' ? slide_event_data.to_index < cur_slide_index : slide_event_data.to_index > cur_slide_index);
+				var cloned_slides = null;
+				current_slider = original_slides.eq(slide_event_data.to_index);
+				
+				if (wraps_around && options.loop == 'rewind') {
+					// Go back over the slides in between, so the effect runs the other way
+					direction = (direction == 'right' ? 'left' : 'right');
+				}
+				else if (wraps_around && ! slider_widget_container.usesStackedLayout()) {
+					// Scroll on to copies of the page we go to, placed next to the current one, and
+					// swap in the original slides once there. Stacked slides don't need any copies.
+					cloned_slides = slider_widget_container.cloneSlides(original_slides.slice(slide_event_data.to_index, slide_event_data.to_index + options.slides_per_view), slide_event_data.to_index);
+					overflow_contaner.css({width:(overflow_contaner.width() + from_slide.width() * cloned_slides.length)+'px'});
+					if (direction == 'right') {
+						overflow_contaner.append(cloned_slides);
+					}
+					else {
+						overflow_contaner.prepend(cloned_slides);
+						// keep the current page in view now that the copies are in front of it
+						slider_widget_container.setStripOffset(slider_widget_container.getStripOffset() + from_slide.width() * cloned_slides.length);
+					}
+					wraparound_clones = cloned_slides;
+					current_slider = cloned_slides.eq(0);
+				}
+				
+				// Actually begin the animation
+				slider_widget_container.runTransition(from_slide, current_slider, direction, function() {
+					if (cloned_slides != null) {
+						// Jump from the copies to the original slides they show
+						cloned_slides.remove();
+						wraparound_clones = null;
+						current_slider = original_slides.eq(slide_event_data.to_index);
+						slider_widget_container.layoutSlides();
+					}
+					slider_widget_container.finishSlideChange(slide_event_data);
+				}, slider_widget_container.getTransitionDuration(cloned_slides != null ? 1 : Math.abs(slide_event_data.to_index - cur_slide_index)));
+			}
+		}
+		
+		/**
+		 * Returns copies of the given slides for a 'wrap' loop to scroll through. The
+		 * copies lose their IDs and scripts, are hidden from assistive technology and
+		 * remember the index of the slide they copy.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		Original slides to copy
+		 * @param		first_index			integer		Zero-based index of the first of them
+		 *
+		 * @returns		jQuery
+		 */
+		this.cloneSlides = function(slides, first_index) {
+			var cloned_slides = slides.clone();
+			cloned_slides.find('script').remove();
+			cloned_slides.removeAttr('id').find('[id]').removeAttr('id');
+			cloned_slides.find('video, audio').removeAttr('autoplay'); // only the original slides play
+			slider_widget_container.setSlidesFocusable(cloned_slides, false);
+			return cloned_slides.addClass('slider_clone').attr('aria-hidden', 'true').each(function(index, cloned_slide) {
+				$(cloned_slide).data('content-slider-original-index', first_index + index);
+			});
+		}
+		
+		/**
+		 * Runs the transition effect named by the 'transition' option from one slide
+		 * to another. The effect is looked up in $.fn.contentSlider.transitions and
+		 * called with a context object (widget, sliders_container, overflow_container,
+		 * options, duration) as 'this'. With slider_height 'auto' the height of the
+		 * slides area animates alongside it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		from_slide			jQuery		The slide being left
+		 * @param		to_slide			jQuery		The slide being shown
+		 * @param		direction			String		Direction of the change. Options: 'left', 'right'
+		 * @param		done				Function	Callback the effect must call once it has finished
+		 * @param		duration			integer		Length (in milliseconds) of the effect. Default 'slide_speed'.
+		 */
+		this.runTransition = function(from_slide, to_slide, direction, done, duration) {
+			var transition_context = {widget : slider_widget_container,
+									  sliders_container : sliders_container,
+									  overflow_container : overflow_contaner,
+									  options : options,
+									  duration : (duration != null ? duration : options.slide_speed)};
+			slider_widget_container.updateHeight(true, transition_context.duration);
+			$.fn.contentSlider.transitions[options.transition].call(transition_context, from_slide, to_slide, direction, done);
+		}
+		
+		/**
+		 * Returns how long (in milliseconds) a slide change across the given number of
+		 * slides takes: 'slide_speed' for a single page. With 'scale_jump_speed' the
+		 * strip takes longer for a jump over several pages, so it can still be followed,
+		 * but never more than twice as long.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_count			integer		Number of slides the change moves by
+		 *
+		 * @returns		integer
+		 */
+		this.getTransitionDuration = function(slide_count) {
+			var pages_moved = Math.ceil(slide_count / options.slides_per_move);
+			if (! options.scale_jump_speed || pages_moved <= 1 || slider_widget_container.usesStackedLayout()) {
+				return options.slide_speed;
+			}
+			return Math.round(options.slide_speed * Math.min(Math.sqrt(pages_moved), 2));
+		}
+		
+		/**
+		 * Stops the slide change in progress, either where it is or by jumping to its
+		 * end (which runs its completion callback, the way jQuery's stop() does), and
+		 * drops the navigation buffered behind it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		jump_to_end			Boolean		Flag indicating whether to finish the slide change straight away
+		 */
+		this.stopTransition = function(jump_to_end) {
+			buffered_navigation = [];
+			sliders_container.stop(true, jump_to_end);
+			slider_widget_container.find('div.slider').stop(true, jump_to_end);
+			slider_widget_container.endStripAnimation(jump_to_end);
+		}
+		
+		/**
+		 * Returns how far (in pixels) the strip of slides is moved to the left right
+		 * now, in the middle of a transition too.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		Number
+		 */
+		this.getStripOffset = function() {
+			if (! strip_uses_transforms) {
+				return sliders_container.scrollLeft();
+			}
+			if (strip_animation != null) {
+				var transform_matrix = /matrix(?:3d)?\(([^)]+)\)/.exec(window.getComputedStyle(overflow_contaner.get(0), null)[transform_support.transform]);
+				if (transform_matrix != null) {
+					var matrix_values = transform_matrix[1].split(',');
+					return -parseFloat(matrix_values[matrix_values.length == 16 ? 12 : 4]);
+				}
+			}
+			return strip_offset;
+		}
+		
+		/**
+		 * Moves the strip of slides the given number of pixels to the left straight away,
+		 * with a transform or by scrolling the sliders container.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		offset				Number		Distance (in pixels) from the first slide
+		 */
+		this.setStripOffset = function(offset) {
+			if (! strip_uses_transforms) {
+				sliders_container.scrollLeft(offset);
+				return;
+			}
+			strip_offset = offset;
+			overflow_contaner.css(transform_support.transition, 'none');
+			overflow_contaner.css(transform_support.transform, 'translate3d(' + (-offset) + 'px, 0, 0)');
+		}
+		
+		/**
+		 * Animates the strip of slides to the given offset: with a CSS transition of its
+		 * transform, or else by animating the scrollLeft of the sliders container.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		offset				Number		Distance (in pixels) from the first slide to move to
+		 * @param		duration			integer		Length (in milliseconds) of the animation
+		 * @param		done				Function	Callback run once the strip is there
+		 */
+		this.animateStripOffset = function(offset, duration, done) {
+			if (! strip_uses_transforms) {
+				sliders_container.animate({scrollLeft:offset}, {duration:duration, easing:options.easing, complete:done});
+				return;
+			}
+			if ($.fx.off || duration <= 0) {
+				slider_widget_container.setStripOffset(offset);
+				done();
+				return;
+			}
+			slider_widget_container.setStripOffset(slider_widget_container.getStripOffset());
+			overflow_contaner.get(0).offsetWidth; // apply the starting offset, or the transition would start from an older one
+			
+			strip_offset = offset;
+			strip_animation = {offset : offset,
+							   done : done,
+							   timeout : setTimeout(function() { slider_widget_container.endStripAnimation(true); }, duration + 100)};
+			overflow_contaner.on(transform_support.transition_end + '.contentSlider', function(transition_event) {
+				if (transition_event.target === overflow_contaner.get(0)) { // not a transition inside a slide
+					slider_widget_container.endStripAnimation(true);
+				}
+			});
+			overflow_contaner.css(transform_support.transition, transform_support.css_transform + ' ' + duration + 'ms ' + $.fn.contentSlider.cssEasings[options.easing]);
+			overflow_contaner.css(transform_support.transform, 'translate3d(' + (-offset) + 'px, 0, 0)');
+		}
+		
+		/**
+		 * Ends the CSS transition of the strip in progress, if any: at its end, running
+		 * its callback, or where the strip is right now.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		jump_to_end			Boolean		Flag indicating whether to move the strip to where the transition goes
+		 */
+		this.endStripAnimation = function(jump_to_end) {
+			if (strip_animation == null) {
+				return;
+			}
+			var ended_animation = strip_animation;
+			var end_offset = (jump_to_end ? ended_animation.offset : slider_widget_container.getStripOffset());
+			strip_animation = null;
+			clearTimeout(ended_animation.timeout);
+			overflow_contaner.off(transform_support.transition_end + '.contentSlider');
+			slider_widget_container.setStripOffset(end_offset);
+			if (jump_to_end) {
+				ended_animation.done();
+			}
+		}
+		
+		/**
+		 * Finishes a slide change once its transition is done: sizes the sliders
+		 * container to the visible slides, updates the indicators and navigation buttons,
+		 * releases the animation lock, starts the media shown with 'autoplay_media',
+		 * triggers 'contentSlider:afterSlide' and runs any navigation buffered meanwhile.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_event_data	Object		The data the matching 'contentSlider:beforeSlide' event was triggered with
+		 */
+		this.finishSlideChange = function(slide_event_data) {
+			sliders_container.css({width: slider_widget_container.getVisibleWidth()+'px'});
+			slider_widget_container.updateSlideIndicators();
+			slider_widget_container.showOrHideCorrectNavigationImages();
+			currently_animating = false;
+			if (auto_scroll_playing) {
+				slider_widget_container.startAutoScrollTimer(); // the new slide gets its full duration
+			}
+			else {
+				auto_scroll_remaining = null;
+				slider_widget_container.setProgress(0);
+			}
+			if (options.hash_navigation) {
+				slider_widget_container.writeSlideToUrl(slide_event_data.triggered_by);
+			}
+			if (options.autoplay_media) {
+				slider_widget_container.playShownMedia();
+			}
+			slider_widget_container.triggerWidgetEvent('afterSlide', slide_event_data);
+			slider_widget_container.runBufferedNavigation();
+		}
+		
+		/**
+		 * Keeps navigation asked for during a slide change to run once it is done, as
+		 * the 'navigation_queue' option says: not at all ('drop'), after the navigation
+		 * kept before ('queue'), or instead of it ('latest').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		navigate			Function	Runs the navigation
+		 */
+		this.bufferNavigation = function(navigate) {
+			if (options.navigation_queue == 'queue') {
+				buffered_navigation.push(navigate);
+			}
+			else if (options.navigation_queue == 'latest') {
+				buffered_navigation = [navigate];
+			}
+		}
+		
+		/**
+		 * Runs the buffered navigation, one slide change at a time: whatever is left
+		 * runs once the slide change it started is done.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.runBufferedNavigation = function() {
+			while (buffered_navigation.length > 0 && ! currently_animating) {
+				buffered_navigation.shift()();
+			}
+		}
+		
+		/**
+		 * Returns whether the slides are stacked on top of each other (every transition
+		 * but 'slide') rather than laid out side by side in a scrolling strip.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		boolean
+		 */
+		this.usesStackedLayout = function() {
+			return options.transition != 'slide';
+		}
+		
+		/**
+		 * Marks the slide indicator matching the current page as active, and all
+		 * the others as inactive. Also hides every slide that is not in view from
+		 * assistive technology, and takes its content out of the tab order.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.updateSlideIndicators = function() {
+			var current_page_index = slider_widget_container.getPageIndex(slider_widget_container.getCurrentSlideIndex());
+			var first_visible_index = current_slider.index();
+			slider_widget_container.find('div.slider').each(function(index, slide) {
+				var is_visible = (index >= first_visible_index && index < first_visible_index + options.slides_per_view);
+				$(slide).attr('aria-hidden', is_visible ? 'false' : 'true');
+				slider_widget_container.setSlidesFocusable($(slide), is_visible);
+			});
+			if (pager_element == null) {
+				return;
+			}
+			if (options.pager == 'numbers') {
+				pager_element.text(slider_widget_container.formatLabel(options.pager_number_format, current_page_index, slider_widget_container.getPageCount()));
+				return;
+			}
+			var all_indicators = pager_element.find('button.slide_indicator');
+			all_indicators.removeClass('is-active').removeAttr('aria-current')
+				.find('img.slider_control_image').attr('src', options.image_base+'/slider-inactive-slide.png');
+			all_indicators.eq(current_page_index).addClass('is-active').attr('aria-current', 'true')
+				.find('img.slider_control_image').attr('src', options.image_base+'/slider-active-slide.png');
+			if (options.pager == 'thumbnails') {
+				slider_widget_container.scrollThumbnailIntoView(all_indicators.eq(current_page_index));
+			}
+		}
+		
+		/**
+		 * Takes the links, buttons, form fields and other focusable elements in the
+		 * given slides out of the tab order (tabindex -1), or puts them back with their
+		 * original tabindex. Tabbing into a hidden slide would otherwise scroll it into
+		 * the sliders container behind the widget's back.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		The 'div.slider' elements
+		 * @param		focusable			boolean		Whether their content can get keyboard focus
+		 */
+		this.setSlidesFocusable = function(slides, focusable) {
+			if (focusable) {
+				slides.find('[data-content-slider-tabindex]').add(slides.filter('[data-content-slider-tabindex]')).each(function(index, element) {
+					var original_tabindex = $(element).attr('data-content-slider-tabindex');
+					if (original_tabindex == '') { $(element).removeAttr('tabindex'); }
+					else { $(element).attr('tabindex', original_tabindex); }
+					$(element).removeAttr('data-content-slider-tabindex');
+				});
+				return;
+			}
+			slides.find('a[href], area[href], button, input, select, textarea, iframe, object, embed, summary, audio[controls], video[controls], [contenteditable], [tabindex]')
+				.add(slides.filter('[tabindex]')).not('[data-content-slider-tabindex]').each(function(index, element) {
+					$(element).attr('data-content-slider-tabindex', element.getAttribute('tabindex') || '').attr('tabindex', -1);
+				});
+		}
+		
+		/**
+		 * Scrolls the thumbnail strip, if it has more thumbnails than fit, just far
+		 * enough to show the given thumbnail.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		thumbnail			jQuery		The thumbnail indicator button to show
+		 */
+		this.scrollThumbnailIntoView = function(thumbnail) {
+			if (thumbnail.length == 0) {
+				return;
+			}
+			var strip_scroll_left = pager_element.scrollLeft();
+			var thumbnail_left = thumbnail.position().left + strip_scroll_left; // the strip is the thumbnails' offset parent
+			var thumbnail_right = thumbnail_left + thumbnail.outerWidth(true);
+			var new_scroll_left = strip_scroll_left;
+			if (thumbnail_left < strip_scroll_left) {
+				new_scroll_left = thumbnail_left;
+			}
+			else if (thumbnail_right > strip_scroll_left + pager_element.innerWidth()) {
+				new_scroll_left = thumbnail_right - pager_element.innerWidth();
+			}
+			if (new_scroll_left != strip_scroll_left) {
+				pager_element.stop(true).animate({scrollLeft:new_scroll_left}, {duration:options.slide_speed, easing:options.easing});
+			}
+		}
+		
+		/**
+		 * Returns the zero-based index of the current slide among the original
+		 * slides, also while a wraparound shows a copy of it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getCurrentSlideIndex = function() {
+			var original_index = current_slider.data('content-slider-original-index');
+			return (original_index != null ? original_index : current_slider.index());
+		}
+		
+		/**
+		 * Returns the zero-based index of the slide one step to the left or right of
+		 * the current one. At either end that is the other end, or the current slide
+		 * itself when the 'loop' option is false.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		direction			String		Direction to step. Options: 'left', 'right'
+		 *
+		 * @returns		integer
+		 */
+		this.getNextSlideIndex = function(direction) {
+			var cur_slide_index = slider_widget_container.getCurrentSlideIndex();
+			var last_start_index = slider_widget_container.getLastStartIndex();
+			if (direction == 'right') {
+				if (cur_slide_index >= last_start_index) {
+					return (options.loop === false ? cur_slide_index : 0);
+				}
+				return Math.min(cur_slide_index + options.slides_per_move, last_start_index);
+			}
+			if (cur_slide_index <= 0) {
+				return (options.loop === false ? cur_slide_index : last_start_index);
+			}
+			return Math.max(cur_slide_index - options.slides_per_move, 0);
+		}
+		
+		/**
+		 * Returns the highest index the first visible slide can have, so that the last
+		 * page is still filled with slides_per_view slides.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getLastStartIndex = function() {
+			return Math.max(total_slides - options.slides_per_view, 0);
+		}
+		
+		/**
+		 * Returns the number of pages, ie: the number of distinct positions stepping
+		 * slides_per_move slides at a time. The last page may overlap the one before.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getPageCount = function() {
+			return Math.ceil(slider_widget_container.getLastStartIndex() / options.slides_per_move) + 1;
+		}
+		
+		/**
+		 * Returns the index of the first slide shown on the given page.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		page_index			integer		Zero-based page index
+		 *
+		 * @returns		integer
+		 */
+		this.getPageStartIndex = function(page_index) {
+			return Math.min(page_index * options.slides_per_move, slider_widget_container.getLastStartIndex());
+		}
+		
+		/**
+		 * Returns the index of the page whose first slide is (or, between pages, comes
+		 * just before) the given slide.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based slide index
+		 *
+		 * @returns		integer
+		 */
+		this.getPageIndex = function(slide_index) {
+			if (slide_index >= slider_widget_container.getLastStartIndex()) {
+				return slider_widget_container.getPageCount() - 1;
+			}
+			return Math.floor(slide_index / options.slides_per_move);
+		}
+		
+		/**
+		 * Returns the total width of the slides in view: the current slide and the
+		 * slides_per_view - 1 slides after it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getVisibleWidth = function() {
+			var visible_width = 0;
+			slider_widget_container.find('div.slider').slice(current_slider.index(), current_slider.index() + options.slides_per_view).each(function(index, slide) {
+				visible_width += $(slide).width();
+			});
+			return visible_width;
+		}
+		
+		/**
+		 * Hides or shows the previous/next button depending on which slide is being
+		 * viewed. If we're viewing the first page, we don't show the previous button;
+		 * if we're viewing the last page, we don't show the next button; otherwise,
+		 * we show both buttons.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 */
+		this.showOrHideCorrectNavigationImages = function() {
+			var current_slide_index = slider_widget_container.getCurrentSlideIndex();
+			var last_start_index = slider_widget_container.getLastStartIndex();
+			var loops = (options.loop !== false && last_start_index > 0);
+			var left_enabled = (loops || current_slide_index > 0);
+			var right_enabled = (loops || current_slide_index < last_start_index);
+			slider_widget_container.find('button.slider_left').toggleClass('enabled', left_enabled).toggleClass('is-disabled', ! left_enabled)
+				.attr('aria-disabled', left_enabled ? 'false' : 'true')
+				.find('img.slider_control_image').attr('src', options.image_base+'/slider-left-arrow-'+(left_enabled ? 'static' : 'grey')+'.png');
+			slider_widget_container.find('button.slider_right').toggleClass('enabled', right_enabled).toggleClass('is-disabled', ! right_enabled)
+				.attr('aria-disabled', right_enabled ? 'false' : 'true')
+				.find('img.slider_control_image').attr('src', options.image_base+'/slider-right-arrow-'+(right_enabled ? 'static' : 'grey')+'.png');
+		}
+		
+		/********* Lazy loading *********/
+		
+		/**
+		 * Loads the images of the visible slides starting at the given index, and of
+		 * the 'preload_neighbors' slides on either side of them (wrapping around).
+		 * Must be called while there are no wraparound clones.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the first visible slide
+		 */
+		this.loadSlideImagesAround = function(slide_index) {
+			var slides = slider_widget_container.find('div.slider');
+			var slides_to_load = $();
+			for (var offset = -options.preload_neighbors; offset < options.slides_per_view + options.preload_neighbors; offset++) {
+				slides_to_load = slides_to_load.add(slides.eq(((slide_index + offset) % total_slides + total_slides) % total_slides));
+			}
+			slider_widget_container.loadSlideImages(slides_to_load);
+		}
+		
+		/**
+		 * Starts loading the lazy images of the given slides, ie: copies 'data-src' and
+		 * 'data-srcset' to 'src' and 'srcset' on their 'img' and 'source' elements.
+		 * Each slide has the 'is-loading' class until all its images have loaded.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		The slides to load
+		 */
+		this.loadSlideImages = function(slides) {
+			slides.each(function(index, slide) {
+				var lazy_images = $(slide).find('img[data-src], img[data-srcset], source[data-srcset]');
+				if (lazy_images.length == 0) {
+					return;
+				}
+				lazy_images.each(function(image_index, lazy_image) {
+					if ($(lazy_image).attr('data-srcset') !== undefined) {
+						$(lazy_image).attr('srcset', $(lazy_image).attr('data-srcset')).removeAttr('data-srcset');
+					}
+					if ($(lazy_image).attr('data-src') !== undefined) {
+						$(lazy_image).attr('src', $(lazy_image).attr('data-src')).removeAttr('data-src');
+					}
+				});
+				var pending_images = slider_widget_container.getPendingImages($(slide));
+				if (pending_images.length > 0) {
+					$(slide).addClass('is-loading');
+					pending_images.one('load.contentSlider error.contentSlider', slider_widget_container.slideImageLoadHandler);
+				}
+			});
+		}
+		
+		/**
+		 * Handles an image of a slide finishing loading (or failing to), removing the
+		 * slide's 'is-loading' class once none of its images are pending.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		load_event			Event		Load or error event triggered on the image
+		 */
+		this.slideImageLoadHandler = function(load_event) {
+			var slide = $(load_event.currentTarget).closest('div.slider');
+			if (slider_widget_container.getPendingImages(slide).length == 0) {
+				slide.removeClass('is-loading');
+			}
+		}
+		
+		/**
+		 * Returns the images in the given slides that haven't finished loading.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		The slides to look in
+		 *
+		 * @returns		jQuery
+		 */
+		this.getPendingImages = function(slides) {
+			return slides.find('img').filter(function() {
+				return ! this.complete && $(this).attr('data-src') === undefined;
+			});
+		}
+		
+		/**
+		 * Returns a promise resolved once every image in the given slides has loaded
+		 * (or failed to).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		The slides to wait for
+		 *
+		 * @returns		Promise
+		 */
+		this.slideImagesLoaded = function(slides) {
+			var images_loaded = $.Deferred();
+			var pending_images = slider_widget_container.getPendingImages(slides);
+			var pending_count = pending_images.length;
+			if (pending_count == 0) {
+				return images_loaded.resolve().promise();
+			}
+			pending_images.one('load.contentSlider error.contentSlider', function() {
+				pending_count--;
+				if (pending_count == 0) { images_loaded.resolve(); }
+			});
+			return images_loaded.promise();
+		}
+		
+		/********* Auto Scroll event handlers *********/
+		
+		/**
+		 * Takes one auto-scroll step in the 'autoscroll_direction', once the images of
+		 * the slides it will show have loaded or 'image_load_timeout' has passed.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.autoScrollStep = function() {
+			auto_scroll_timer = null;
+			if (autoplay_image_wait != null || currently_animating) {
+				return; // the previous step is still waiting, or a slide change is running and will restart the timer
+			}
+			var next_slide_index = slider_widget_container.getNextSlideIndex(options.autoscroll_direction);
+			if (next_slide_index == slider_widget_container.getCurrentSlideIndex()) {
+				// The end of a widget that doesn't loop, there is nowhere left to go
+				slider_widget_container.stopAutoScroll();
+				return;
+			}
+			var next_slides = slider_widget_container.find('div.slider').slice(next_slide_index, next_slide_index + options.slides_per_view);
+			slider_widget_container.loadSlideImages(next_slides);
+			
+			var image_wait = {timeout : null};
+			var take_step = function() {
+				if (autoplay_image_wait !== image_wait) {
+					return; // cancelled, or already taken
+				}
+				slider_widget_container.cancelAutoScrollImageWait();
+				slider_widget_container.slideInDirection(options.autoscroll_direction, true);
+				if (! currently_animating && auto_scroll_playing) {
+					slider_widget_container.startAutoScrollTimer(); // the slide change was cancelled, try again later
+				}
+			};
+			autoplay_image_wait = image_wait;
+			image_wait.timeout = setTimeout(take_step, options.image_load_timeout);
+			slider_widget_container.slideImagesLoaded(next_slides).done(take_step);
+		}
+		
+		/**
+		 * Stops an auto-scroll step from waiting for images, so it never happens.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.cancelAutoScrollImageWait = function() {
+			if (autoplay_image_wait != null) {
+				clearTimeout(autoplay_image_wait.timeout);
+				autoplay_image_wait = null;
+			}
+		}
+		
+		
+		/**
+		 * Returns how long (in milliseconds) the slide at the given index is shown while
+		 * auto-scrolling: its 'data-duration' attribute, else the 'auto_scroll_timeout'.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide
+		 *
+		 * @returns		integer
+		 */
+		this.getSlideDuration = function(slide_index) {
+			var slide_duration = parseInt(slider_widget_container.find('div.slider').eq(slide_index).attr('data-duration'), 10);
+			return (isNaN(slide_duration) || slide_duration < 0 ? options.auto_scroll_timeout : slide_duration);
+		}
+		
+		/**
+		 * (Re)starts the auto-scroll timer for the time the current slide has left: the
+		 * time remaining when auto-scroll was paused, or else the slide's full duration.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.startAutoScrollTimer = function() {
+			clearTimeout(auto_scroll_timer);
+			var slide_duration = slider_widget_container.getSlideDuration(slider_widget_container.getCurrentSlideIndex());
+			var time_left = (auto_scroll_remaining != null ? Math.min(auto_scroll_remaining, slide_duration) : slide_duration);
+			auto_scroll_remaining = null;
+			auto_scroll_timer_end = new Date().getTime() + time_left;
+			auto_scroll_timer = setTimeout(slider_widget_container.autoScrollStep, time_left);
+			slider_widget_container.animateProgress(slide_duration > 0 ? 1 - time_left / slide_duration : 1, time_left);
+		}
+		
+		/**
+		 * Checks to see if the auto_scroll option is true, and if so, sets
+		 * a timer to scroll to the next slide once the current one has been
+		 * shown for its duration (or the rest of it, after a pause).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		autoscroll_event			Event			Custom 'startAutoScroll' event
+		 */
+		this.startAutoScroll = function(autoscroll_event) {
+			// Start auto-scroll if that option indicates to do so
+			if (options.auto_scroll == true && ! auto_scroll_playing) {
+				auto_scroll_playing = true;
+				if (options.autoscroll_direction == 'right' || options.autoscroll_direction == 'left') {
+					slider_widget_container.startAutoScrollTimer();
+				}
+				sliders_container.attr('aria-live', 'off'); // don't announce every automatic slide change
+				if (options.debug && console !== undefined) { console.log('starting slider auto scroll'); }
+				slider_widget_container.triggerAutoplayChangeEvent('playing');
+			}
+		}
+		
+		/**
+		 * Checks to see if the auto_scroll option is true, and clears the
+		 * auto scroll timer, remembering how long the current slide still had
+		 * to be shown. Paused scrolling may be restarted.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		autoscroll_event			Event			Custom 'pauseAutoScroll' event
+		 */
+		this.pauseAutoScroll = function(autoscroll_event) {
+			if (options.auto_scroll == true && auto_scroll_playing) {
+				auto_scroll_timer = clearTimeout(auto_scroll_timer);
+				auto_scroll_playing = false;
+				auto_scroll_remaining = Math.max(auto_scroll_timer_end - new Date().getTime(), 0);
+				slider_widget_container.cancelAutoScrollImageWait();
+				if (progress_animation != null) {
+					progress_animation.stop(); // leave it showing the time left
+				}
+				sliders_container.attr('aria-live', 'polite');
+				if (options.debug && console !== undefined) { console.log('pausing slider auto scroll'); }
+				slider_widget_container.triggerAutoplayChangeEvent('paused');
+			}
+		}
+		
+		/**
+		 * Checks to see if the auto_scroll option is true. If so, clears the
+		 * auto scroll timer and sets the auto_scroll option to false so it does
+		 * not start up again, even when it is only paused right now.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 *
+		 * @param		autoscroll_event			Event			Custom 'stopAutoScroll' event
+		 */
+		this.stopAutoScroll = function(autoscroll_event) {
+			if (options.auto_scroll == true) {
+				auto_scroll_timer = clearTimeout(auto_scroll_timer);
+				auto_scroll_playing = false;
+				auto_scroll_remaining = null;
+				slider_widget_container.cancelAutoScrollImageWait();
+				if (progress_animation != null) {
+					progress_animation.stop();
+				}
+				slider_widget_container.setProgress(0);
+				options.auto_scroll = false;
+				sliders_container.attr('aria-live', 'polite');
+				if (options.debug && console !== undefined) { console.log('stopping slider auto scroll'); }
+				slider_widget_container.triggerAutoplayChangeEvent('stopped');
+			}
+		}
+		
+		/**
+		 * Starts auto-scroll unless something is holding it paused: the mouse over the
+		 * slides, keyboard focus in the widget, the user's navigation (see the
+		 * 'autoplay_resume' option), a hidden page, the widget being out of view or
+		 * media playing in the slides shown ('pause_for_media').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.resumeAutoScroll = function() {
+			if (! hover_paused && ! focus_paused && ! navigation_paused && ! page_hidden_paused && ! out_of_view_paused &&
+				! (options.pause_for_media && playing_media.length > 0)) {
+				slider_widget_container.trigger('startAutoScroll');
+			}
+		}
+		
+		/**
+		 * Stops auto-scroll because the user navigated: for good with autoplay_resume
+		 * 'never', otherwise pauses it until the user has been idle for the
+		 * 'autoplay_resume_delay' ('after_idle') or has left the widget ('on_leave').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.interruptAutoScroll = function() {
+			if (options.autoplay_resume != 'after_idle' && options.autoplay_resume != 'on_leave') {
+				slider_widget_container.trigger('stopAutoScroll');
+				return;
+			}
+			if (options.auto_scroll != true) {
+				return;
+			}
+			navigation_paused = true;
+			slider_widget_container.trigger('pauseAutoScroll');
+			if (options.autoplay_resume == 'after_idle') {
+				slider_widget_container.scheduleAutoScrollResume(options.autoplay_resume_delay);
+			}
+		}
+		
+		/**
+		 * Resumes auto-scroll paused by the user's navigation after the given time,
+		 * with autoplay_resume 'after_idle'.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		delay				integer		Time (in milliseconds) to wait
+		 */
+		this.scheduleAutoScrollResume = function(delay) {
+			clearTimeout(autoplay_resume_timeout);
+			autoplay_resume_time = new Date().getTime() + delay;
+			autoplay_resume_timeout = setTimeout(function() {
+				autoplay_resume_timeout = null;
+				navigation_paused = false;
+				slider_widget_container.resumeAutoScroll();
+			}, delay);
+		}
+		
+		/**
+		 * Starts watching whether the page is hidden (Page Visibility API) and whether
+		 * the widget is in view (IntersectionObserver), where the browser supports
+		 * them, to pause auto-scroll meanwhile.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.watchVisibility = function() {
+			if (document.hidden !== undefined) {
+				page_hidden_paused = document.hidden;
+				$(document).on('visibilitychange.contentSlider', slider_widget_container.pageVisibilityHandler);
+			}
+			if (window.IntersectionObserver !== undefined) {
+				view_observer = new IntersectionObserver(function(observer_entries) {
+					out_of_view_paused = ! observer_entries[observer_entries.length - 1].isIntersecting;
+					if (out_of_view_paused) { slider_widget_container.trigger('pauseAutoScroll'); }
+					else { slider_widget_container.resumeAutoScroll(); }
+				});
+				view_observer.observe(slider_widget_container.get(0));
+			}
+		}
+		
+		/**
+		 * Handles the page being hidden or shown again, pausing or resuming auto-scroll.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		visibility_event	Event		Visibilitychange event triggered on the document
+		 */
+		this.pageVisibilityHandler = function(visibility_event) {
+			page_hidden_paused = document.hidden;
+			if (page_hidden_paused) { slider_widget_container.trigger('pauseAutoScroll'); }
+			else { slider_widget_container.resumeAutoScroll(); }
+		}
+		
+		/**
+		 * Adds the progress indicator and the play/pause button, if the
+		 * 'progress_indicator' and 'play_pause_button' options ask for them. They go
+		 * below the slides, with the navigation buttons when those are not inline.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.renderAutoplayControls = function() {
+			var navigation_div = slider_widget_container.children('div.current_slide_indicator');
+			if (options.progress_indicator == 'bar' || options.progress_indicator == 'ring') {
+				progress_element = $("<div aria-hidden='true'></div>").addClass('slider_progress slider_progress_' + options.progress_indicator);
+				if (options.progress_indicator == 'bar') {
+					progress_element.append($("<div></div>").addClass('slider_progress_fill'));
+				}
+				else {
+					progress_element.html("<svg viewBox='0 0 36 36' width='36' height='36'>" +
+										  "<circle class='slider_progress_track' cx='18' cy='18' r='16' fill='none'></circle>" +
+										  "<circle class='slider_progress_fill' cx='18' cy='18' r='16' fill='none' transform='rotate(-90 18 18)'" +
+										  " stroke-dasharray='" + (2 * Math.PI * 16) + "'></circle></svg>");
+				}
+				if (navigation_div.length > 0) { navigation_div.before(progress_element); }
+				else { slider_widget_container.append(progress_element); }
+				slider_widget_container.setProgress(0);
+			}
+			if (options.play_pause_button && ! slider_widget_container.isFollower()) { // the widget it follows has the button
+				var play_pause_button = $("<button type='button'></button>")
+											.addClass('slider_play_pause')
+											.append($("<span aria-hidden='true'></span>").addClass('slider_play_pause_icon'))
+											.on('click.contentSlider', slider_widget_container.playPauseClickHandler);
+				if (navigation_div.length > 0) { navigation_div.append(play_pause_button); }
+				else { slider_widget_container.append(play_pause_button); }
+				slider_widget_container.updatePlayPauseButton();
+			}
+		}
+		
+		/**
+		 * Shows the given fraction of the current slide's time as elapsed on the
+		 * progress indicator.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		fraction			Number		Elapsed fraction, from 0 to 1
+		 */
+		this.setProgress = function(fraction) {
+			if (progress_element == null) {
+				return;
+			}
+			if (options.progress_indicator == 'bar') {
+				progress_element.find('div.slider_progress_fill').css('width', (fraction * 100) + '%');
+			}
+			else {
+				progress_element.find('circle.slider_progress_fill').attr('stroke-dashoffset', 2 * Math.PI * 16 * (1 - fraction));
+			}
+		}
+		
+		/**
+		 * Fills the progress indicator from the given fraction up to full over the
+		 * given time.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		from_fraction		Number		Elapsed fraction to start from, from 0 to 1
+		 * @param		duration			integer		Time (in milliseconds) until the indicator is full
+		 */
+		this.animateProgress = function(from_fraction, duration) {
+			if (progress_element == null) {
+				return;
+			}
+			if (progress_animation != null) {
+				progress_animation.stop();
+			}
+			slider_widget_container.setProgress(from_fraction);
+			progress_animation = $({fraction:from_fraction}).animate({fraction:1}, {
+				duration : duration,
+				easing : 'linear',
+				step : function(fraction) { slider_widget_container.setProgress(fraction); }
+			});
+		}
+		
+		/**
+		 * Handles clicks on the play/pause button: stops auto-scroll if it is on,
+		 * otherwise turns it on.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		click_event			Event		Click event triggered on the play/pause button
+		 */
+		this.playPauseClickHandler = function(click_event) {
+			if (options.auto_scroll == true) { slider_widget_container.pause(); }
+			else { slider_widget_container.play(); }
+		}
+		
+		/**
+		 * Makes the play/pause button reflect whether auto-scroll is on: the 'is-playing'
+		 * class and the 'pause_label', or the 'is-paused' class and the 'play_label'.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.updatePlayPauseButton = function() {
+			var autoplay_on = (options.auto_scroll == true);
+			slider_widget_container.find('button.slider_play_pause')
+				.toggleClass('is-playing', autoplay_on)
+				.toggleClass('is-paused', ! autoplay_on)
+				.attr('aria-label', autoplay_on ? options.pause_label : options.play_label);
+		}
+		
+		/********* Keyboard and focus event handlers *********/
+		
+		/**
+		 * Handles Left/Right/Home/End key presses while something in the widget has
+		 * focus, moving to the previous/next/first/last slide. Keys pressed inside
+		 * form fields in a slide are left alone.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		keydown_event		Event		Keydown event triggered inside the widget
+		 */
+		this.keyboardNavigationHandler = function(keydown_event) {
+			if ($(keydown_event.target).is('input, textarea, select, [contenteditable]') ||
+				keydown_event.altKey || keydown_event.ctrlKey || keydown_event.metaKey) {
+				return;
+			}
+			
+			var new_slide_index = null;
+			switch (keydown_event.which) {
+				case 37: // Left
+					slider_widget_container.slideInDirection('left', null);
+					break;
+				case 39: // Right
+					slider_widget_container.slideInDirection('right', null);
+					break;
+				case 36: // Home
+					new_slide_index = 0;
+					break;
+				case 35: // End
+					new_slide_index = slider_widget_container.getLastStartIndex();
+					break;
+				default:
+					return;
+			}
+			if (new_slide_index != null && new_slide_index != slider_widget_container.getCurrentSlideIndex()) {
+				slider_widget_container.slideToIndex(new_slide_index, null);
+			}
+			keydown_event.preventDefault();
+		}
+		
+		/**
+		 * Pauses auto-scroll while anything in the widget has keyboard focus. Focus
+		 * that comes with a mouse, pointer or touch press (eg: clicking a navigation
+		 * button) doesn't count.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		focus_event			Event		Focusin event triggered inside the widget
+		 */
+		this.focusInHandler = function(focus_event) {
+			if (new Date().getTime() - last_pointer_down_time < 1000) {
+				return;
+			}
+			focus_paused = true;
+			slider_widget_container.trigger('pauseAutoScroll');
+		}
+		
+		/**
+		 * Restarts auto-scroll once keyboard focus has left the widget, unless the
+		 * mouse is still hovering the slides.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		focus_event			Event		Focusout event triggered inside the widget
+		 */
+		this.focusOutHandler = function(focus_event) {
+			// Focus moving between two elements inside the widget fires focusout before focusin,
+			// so wait until the new element actually has focus before deciding.
+			setTimeout(function() {
+				if (widget_initialized && ! $.contains(slider_widget_container.get(0), document.activeElement)) {
+					focus_paused = false;
+					if (options.autoplay_resume == 'on_leave' && ! hover_paused) {
+						navigation_paused = false;
+					}
+					slider_widget_container.resumeAutoScroll();
+				}
+			}, 0);
+		}
+		
+		/********* Swipe and drag event handlers *********/
+		
+		/**
+		 * Starts tracking a touch, pointer or mouse drag on the slides.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		start_event			Event		Touchstart, pointerdown or mousedown event triggered on the slides
+		 */
+		this.dragStartHandler = function(start_event) {
+			var original_event = start_event.originalEvent || start_event;
+			var is_touch = (start_event.type == 'touchstart' || original_event.pointerType == 'touch');
+			if (! options.swipe || currently_animating || drag_state != null || total_slides < 2 ||
+				(! is_touch && start_event.which != 1) ||
+				(start_event.type == 'mousedown' && new Date().getTime() - last_touch_end_time < 1000)) { // ignore mouse events emulated after a touch
+				return;
+			}
+			
+			var start_point = slider_widget_container.getDragPoint(start_event);
+			drag_state = {start_x : start_point.x,
+						  start_y : start_point.y,
+						  delta_x : 0,
+						  start_time : new Date().getTime(),
+						  start_offset : slider_widget_container.getStripOffset(),
+						  axis : null,
+						  is_touch : is_touch};
+			
+			// Touch events keep firing on the element they started on; pointer and mouse
+			// events have to be followed on the whole document.
+			if (start_event.type == 'touchstart') {
+				drag_state.move_target = sliders_container;
+				drag_state.move_events = 'touchmove.contentSlider';
+				drag_state.end_events = 'touchend.contentSlider touchcancel.contentSlider';
+			}
+			else if (start_event.type == 'pointerdown') {
+				drag_state.move_target = $(document);
+				drag_state.move_events = 'pointermove.contentSlider';
+				drag_state.end_events = 'pointerup.contentSlider pointercancel.contentSlider';
+			}
+			else {
+				drag_state.move_target = $(document);
+				drag_state.move_events = 'mousemove.contentSlider';
+				drag_state.end_events = 'mouseup.contentSlider';
+			}
+			drag_state.move_target.on(drag_state.move_events, slider_widget_container.dragMoveHandler);
+			drag_state.move_target.on(drag_state.end_events, slider_widget_container.dragEndHandler);
+		}
+		
+		/**
+		 * Makes the slides follow the finger or mouse once the drag is clearly horizontal.
+		 * A drag that is clearly vertical is given up on so the page can scroll.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		move_event			Event		Touchmove, pointermove or mousemove event
+		 */
+		this.dragMoveHandler = function(move_event) {
+			if (drag_state == null) {
+				return;
+			}
+			var move_point = slider_widget_container.getDragPoint(move_event);
+			var delta_x = move_point.x - drag_state.start_x;
+			var delta_y = move_point.y - drag_state.start_y;
+			
+			if (drag_state.axis == null) {
+				if (Math.abs(delta_x) < 5 && Math.abs(delta_y) < 5) {
+					return;
+				}
+				if (Math.abs(delta_y) > Math.abs(delta_x)) {
+					slider_widget_container.stopDragging();
+					return;
+				}
+				drag_state.axis = 'x';
+				slider_widget_container.addClass('dragging');
+				slider_widget_container.trigger('pauseAutoScroll');
+			}
+			
+			move_event.preventDefault();
+			drag_state.delta_x = delta_x;
+			if (! slider_widget_container.usesStackedLayout()) {
+				slider_widget_container.setStripOffset(drag_state.start_offset - delta_x);
+			}
+		}
+		
+		/**
+		 * Finishes a drag. Moves to the next or previous slide if the drag went past
+		 * 'swipe_threshold' pixels or was faster than 'swipe_velocity', otherwise
+		 * snaps back to the current slide.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		end_event			Event		Touchend, pointerup or mouseup event
+		 */
+		this.dragEndHandler = function(end_event) {
+			if (drag_state == null) {
+				return;
+			}
+			var finished_drag = drag_state;
+			slider_widget_container.stopDragging();
+			if (finished_drag.is_touch) {
+				last_touch_end_time = new Date().getTime();
+			}
+			if (finished_drag.axis != 'x') {
+				return;
+			}
+			
+			// A drag should not also count as a click on a link inside the slide
+			sliders_container.one('click.contentSlider', function(click_event) { click_event.preventDefault(); });
+			setTimeout(function() { sliders_container.off('click.contentSlider'); }, 0);
+			
+			var drag_velocity = Math.abs(finished_drag.delta_x) / Math.max(new Date().getTime() - finished_drag.start_time, 1);
+			if (Math.abs(finished_drag.delta_x) >= options.swipe_threshold || drag_velocity >= options.swipe_velocity) {
+				slider_widget_container.slideInDirection(finished_drag.delta_x < 0 ? 'right' : 'left', null);
+			}
+			if (! currently_animating && ! slider_widget_container.usesStackedLayout()) {
+				// Not past the threshold, or the slide change was cancelled
+				currently_animating = true;
+				slider_widget_container.animateStripOffset(current_slider.width() * current_slider.index(), options.slide_speed, function() {
+					currently_animating = false;
+					slider_widget_container.runBufferedNavigation();
+				});
+			}
+			
+			// Resume auto-scroll (unless the swipe stopped it, like a click does)
+			slider_widget_container.resumeAutoScroll();
+		}
+		
+		/**
+		 * Stops tracking the current drag and unbinds its move and end handlers.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.stopDragging = function() {
+			if (drag_state != null) {
+				drag_state.move_target.off(drag_state.move_events, slider_widget_container.dragMoveHandler);
+				drag_state.move_target.off(drag_state.end_events, slider_widget_container.dragEndHandler);
+				drag_state = null;
+			}
+			slider_widget_container.removeClass('dragging');
+		}
+		
+		/**
+		 * Returns the page coordinates of a touch, pointer or mouse event.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		drag_event			Event		Any touch, pointer or mouse event
+		 *
+		 * @returns		Object				x, y
+		 */
+		this.getDragPoint = function(drag_event) {
+			var original_event = drag_event.originalEvent || drag_event;
+			var point = original_event;
+			if (original_event.touches && original_event.touches.length > 0) {
+				point = original_event.touches[0];
+			}
+			else if (original_event.changedTouches && original_event.changedTouches.length > 0) {
+				point = original_event.changedTouches[0];
+			}
+			return {x:point.pageX, y:point.pageY};
+		}
+		
+		/********* Synchronized widgets *********/
+		
+		/**
+		 * Returns what caused a slide change, for the 'triggered_by' of its events:
+		 * 'sync' while following a synchronized widget, else 'autoplay' or 'user'.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		auto_scroll_event	Boolean		Flag indicating whether this is being triggered by an auto-scroll event. Default null.
+		 *
+		 * @returns		String
+		 */
+		this.getSlideTrigger = function(auto_scroll_event) {
+			if (sync_chain != null) {
+				return 'sync';
+			}
+			return (auto_scroll_event == null ? 'user' : 'autoplay');
+		}
+		
+		/**
+		 * Adds this widget to (or removes it from) the followers of the widgets named
+		 * by the 'sync_with' and 'as_nav_for' options, so their slide changes reach it
+		 * as well. The followers are kept on those widgets' elements, so it doesn't
+		 * matter which widget is initialized first.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		follow				Boolean		True to add this widget, false to remove it
+		 */
+		this.followSyncedWidgets = function(follow) {
+			$(options.sync_with).add(options.as_nav_for).not(slider_widget_container).each(function(index, element) {
+				var followers = $.grep($(element).data('content-slider-followers') || [], function(follower) {
+					return follower !== slider_widget_container[0];
+				});
+				if (follow) {
+					followers.push(slider_widget_container[0]);
+				}
+				$(element).data('content-slider-followers', followers);
+			});
+		}
+		
+		/**
+		 * Returns whether this widget follows another one ('sync_with' or 'as_nav_for'),
+		 * which then drives its auto-scroll.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		boolean
+		 */
+		this.isFollower = function() {
+			return options.sync_with != null || options.as_nav_for != null;
+		}
+		
+		/**
+		 * Returns the first initialized widget named by the 'sync_with' or 'as_nav_for'
+		 * option which doesn't follow another one itself, so it can auto-scroll. Null if
+		 * there is none (eg: two widgets naming each other in 'sync_with').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		jQuery
+		 */
+		this.getLeadingWidget = function() {
+			var leading_widget = null;
+			$(options.sync_with).add(options.as_nav_for).not(slider_widget_container).each(function(index, element) {
+				var synced_widget = $.data(element, 'content-slider');
+				if (synced_widget != null && synced_widget.isInitialized() && ! synced_widget.isFollower()) {
+					leading_widget = synced_widget;
+					return false;
+				}
+			});
+			return leading_widget;
+		}
+		
+		/**
+		 * Returns the elements of every widget kept on the same slide as this one: the
+		 * ones named by its 'sync_with' and 'as_nav_for' options and the ones naming it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		jQuery
+		 */
+		this.getSyncedWidgets = function() {
+			return $(options.sync_with).add(options.as_nav_for).add(slider_widget_container.data('content-slider-followers') || []).not(slider_widget_container);
+		}
+		
+		/**
+		 * Returns the current slide index of the first initialized widget named by the
+		 * 'sync_with' or 'as_nav_for' option, or -1 if there is none (or this widget
+		 * has no such slide).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		integer
+		 */
+		this.getSyncedSlideIndex = function() {
+			var synced_slide_index = -1;
+			$(options.sync_with).add(options.as_nav_for).not(slider_widget_container).each(function(index, element) {
+				var synced_widget = $.data(element, 'content-slider');
+				if (synced_widget != null && synced_widget.isInitialized()) {
+					synced_slide_index = synced_widget.getCurrentSlideIndex();
+					return false;
+				}
+			});
+			return (synced_slide_index < total_slides ? synced_slide_index : -1);
+		}
+		
+		/**
+		 * Passes a slide change that is starting on to the synchronized widgets which
+		 * haven't had it yet.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_event_data	Object		The data the 'contentSlider:beforeSlide' event was triggered with
+		 */
+		this.syncSlideChange = function(slide_event_data) {
+			var chain = sync_chain || {widgets:[], triggered_by:slide_event_data.triggered_by};
+			chain.widgets.push(slider_widget_container[0]);
+			if (options.as_nav_for != null && sync_chain == null) {
+				slider_widget_container.markNavCurrent(slide_event_data.to_index);
+			}
+			slider_widget_container.getSyncedWidgets().each(function(index, element) {
+				var synced_widget = $.data(element, 'content-slider');
+				if ($.inArray(element, chain.widgets) < 0 && synced_widget != null && synced_widget.isInitialized()) {
+					synced_widget.followSlide(slide_event_data.to_index, slide_event_data.direction, chain);
+				}
+			});
+		}
+		
+		/**
+		 * Moves to the slide a synchronized widget is changing to, with the usual
+		 * transition. A slide change in progress is finished first. A navigation strip
+		 * ('as_nav_for') only marks the slide if it is already in view.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide to show
+		 * @param		direction			String		Direction the other widget is moving in. Options: 'left', 'right'
+		 * @param		chain				Object		The slide change being passed on (see sync_chain)
+		 */
+		this.followSlide = function(slide_index, direction, chain) {
+			if (slide_index >= total_slides) {
+				return;
+			}
+			if (currently_animating) {
+				slider_widget_container.stopTransition(true);
+			}
+			var first_visible_index = slider_widget_container.getCurrentSlideIndex();
+			if (options.as_nav_for != null) {
+				slider_widget_container.markNavCurrent(slide_index);
+				if (slide_index >= first_visible_index && slide_index < first_visible_index + options.slides_per_view) {
+					return;
+				}
+			}
+			
+			// Autoplay on the other widget doesn't count as navigation here, anything else does
+			var auto_scroll_event = (chain.triggered_by == 'autoplay' ? true : null);
+			sync_chain = chain;
+			if (slider_widget_container.getNextSlideIndex(direction) == slide_index) {
+				slider_widget_container.slideInDirection(direction, auto_scroll_event); // so a wraparound looks like one
+			}
+			else {
+				slider_widget_container.slideToIndex(slide_index, auto_scroll_event);
+			}
+			sync_chain = null;
+		}
+		
+		/**
+		 * Marks the slide the widget this one is a navigation strip for is showing,
+		 * with the 'is-current' class.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide
+		 */
+		this.markNavCurrent = function(slide_index) {
+			slider_widget_container.find('div.slider').removeClass('is-current').removeAttr('aria-current')
+				.eq(slide_index).addClass('is-current').attr('aria-current', 'true');
+		}
+		
+		/**
+		 * Handles a click on a slide of a navigation strip ('as_nav_for'): shows that
+		 * slide in the other widget. Clicks ending a drag are ignored.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		click_event			Event		Click event triggered on a slide
+		 */
+		this.navSlideClickHandler = function(click_event) {
+			if (click_event.isDefaultPrevented()) {
+				return;
+			}
+			var slides = slider_widget_container.find('div.slider');
+			var from_index = slides.index(slides.filter('.is-current'));
+			var slide_index = slides.index(click_event.currentTarget);
+			if (slide_index != from_index) {
+				slider_widget_container.syncSlideChange({from_index:from_index,
+														 to_index:slide_index,
+														 direction:(slide_index < from_index ? 'left' : 'right'),
+														 triggered_by:'user'});
+			}
+		}
+		
+		/********* Media *********/
+		
+		/**
+		 * Returns the slides shown when the slide with the given index is the current
+		 * one (slides_per_view of them), leaving out the copies made for a wraparound.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the first slide shown
+		 *
+		 * @returns		jQuery
+		 */
+		this.getShownSlides = function(slide_index) {
+			return slider_widget_container.find('div.slider').not('.slider_clone').slice(slide_index, slide_index + options.slides_per_view);
+		}
+		
+		/**
+		 * Returns the media elements in the given slides, in document order, each with
+		 * the first adapter of $.fn.contentSlider.mediaAdapters whose selector it matches.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slides				jQuery		The slides to look in
+		 *
+		 * @returns		Array		Objects with 'element' (HTMLElement) and 'adapter' (Object)
+		 */
+		this.findMedia = function(slides) {
+			var media_selectors = [];
+			$.each($.fn.contentSlider.mediaAdapters, function(adapter_name, adapter) {
+				media_selectors.push(adapter.selector);
+			});
+			var found_media = [];
+			if (media_selectors.length == 0) {
+				return found_media;
+			}
+			slides.find(media_selectors.join(', ')).each(function(index, element) {
+				$.each($.fn.contentSlider.mediaAdapters, function(adapter_name, adapter) {
+					if ($(element).is(adapter.selector)) {
+						found_media.push({element : element, adapter : adapter});
+						return false;
+					}
+				});
+			});
+			return found_media;
+		}
+		
+		/**
+		 * Asks the adapter of every media element in the slides to report when it
+		 * starts playing, pauses or ends (adapters without a 'watch' function can only
+		 * be played and paused).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.watchMedia = function() {
+			$.each(slider_widget_container.findMedia(slider_widget_container.find('div.slider').not('.slider_clone')), function(index, media) {
+				if ($.isFunction(media.adapter.watch)) {
+					media.adapter.watch(media.element, function(media_state) {
+						slider_widget_container.mediaStateChange(media.element, media_state);
+					});
+				}
+			});
+		}
+		
+		/**
+		 * Stops following the media elements in the slides, undoing watchMedia().
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.unwatchMedia = function() {
+			$.each(slider_widget_container.findMedia(slider_widget_container.find('div.slider')), function(index, media) {
+				if ($.isFunction(media.adapter.unwatch)) {
+					media.adapter.unwatch(media.element);
+				}
+			});
+		}
+		
+		/**
+		 * Handles a media element reporting a change of state. Media playing in the
+		 * slides shown holds auto-scroll ('pause_for_media'); once it pauses or ends,
+		 * auto-scroll resumes, or with 'advance_on_media_end' the next slide is shown
+		 * as soon as it has ended.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		element				HTMLElement		The media element
+		 * @param		media_state			String			Its new state. Options: 'playing', 'paused', 'ended'
+		 */
+		this.mediaStateChange = function(element, media_state) {
+			playing_media = $.grep(playing_media, function(playing_element) { return playing_element !== element; });
+			var is_shown = (slider_widget_container.getShownSlides(slider_widget_container.getCurrentSlideIndex()).find(element).length > 0);
+			if (media_state == 'playing' && is_shown) {
+				playing_media.push(element);
+				if (options.pause_for_media) {
+					slider_widget_container.trigger('pauseAutoScroll');
+				}
+				return;
+			}
+			if (media_state == 'ended' && is_shown && options.advance_on_media_end && playing_media.length == 0) {
+				slider_widget_container.slideInDirection(options.autoscroll_direction, true);
+			}
+			slider_widget_container.resumeAutoScroll();
+		}
+		
+		/**
+		 * Pauses the media in every slide which won't be shown once the slide with the
+		 * given index is the current one ('pause_media'), and stops those holding
+		 * auto-scroll.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide becoming the current one
+		 */
+		this.pauseHiddenMedia = function(slide_index) {
+			var shown_slides = slider_widget_container.getShownSlides(slide_index);
+			if (options.pause_media) {
+				$.each(slider_widget_container.findMedia(slider_widget_container.find('div.slider').not(shown_slides)), function(index, media) {
+					media.adapter.pause(media.element);
+				});
+			}
+			var playing_count = playing_media.length;
+			playing_media = $.grep(playing_media, function(playing_element) { return shown_slides.find(playing_element).length > 0; });
+			if (playing_count > 0 && playing_media.length == 0) {
+				slider_widget_container.resumeAutoScroll();
+			}
+		}
+		
+		/**
+		 * Starts the first media element of the slides shown ('autoplay_media').
+		 * Browsers only let media start by itself when it is muted.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.playShownMedia = function() {
+			var shown_media = slider_widget_container.findMedia(slider_widget_container.getShownSlides(slider_widget_container.getCurrentSlideIndex()));
+			if (shown_media.length > 0) {
+				shown_media[0].adapter.play(shown_media[0].element);
+			}
+		}
+		
+		/********* Lifecycle events *********/
+		
+		/**
+		 * Triggers a 'contentSlider:<event_name>' event on the slider_widget_container,
+		 * then runs the matching 'on_<event_name>' callback option (eg: 'beforeSlide'
+		 * runs 'on_before_slide'). A callback returning false prevents the default
+		 * the same way event.preventDefault() does.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		event_name			String		Name of the event, without the 'contentSlider:' prefix
+		 * @param		event_data			Object		Data passed to the event handlers and the callback
+		 *
+		 * @returns		jQuery.Event		The triggered event, so callers can check isDefaultPrevented()
+		 */
+		this.triggerWidgetEvent = function(event_name, event_data) {
+			var widget_event = $.Event('contentSlider:' + event_name);
+			slider_widget_container.trigger(widget_event, [event_data]);
+			
+			var callback = options['on_' + event_name.replace(/([A-Z])/g, '_$1').toLowerCase()];
+			if ($.isFunction(callback) && callback.call(slider_widget_container.get(0), widget_event, event_data) === false) {
+				widget_event.preventDefault();
+			}
+			return widget_event;
+		}
+		
+		/**
+		 * Triggers the 'contentSlider:autoplayChange' event with the new auto-scroll state.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		autoplay_state		String		The new state. Options: 'playing', 'paused', 'stopped'
+		 */
+		this.triggerAutoplayChangeEvent = function(autoplay_state) {
+			slider_widget_container.updatePlayPauseButton();
+			slider_widget_container.triggerWidgetEvent('autoplayChange', {autoplay:(autoplay_state == 'playing'),
+																		  state:autoplay_state,
+																		  current_index:slider_widget_container.getCurrentSlideIndex()});
+		}
+		
+		/********* Navigation event handlers *********/
+		
+		/**
+		 * Adds the click event handler for the left (previous) navigation button. Hover
+		 * states are left to CSS.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 */
+		this.addLeftArrowHandlers = function() {
+			slider_widget_container.find('button.slider_left').on('click.contentSlider', slider_widget_container.slideNavigationClickHandler);
+		}
+		
+		/**
+		 * Adds the click event handler for the right (next) navigation button. Hover
+		 * states are left to CSS.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.0
+		 * @updated		1.3
+		 */
+		this.addRightArrowHandlers = function() {
+			slider_widget_container.find('button.slider_right').on('click.contentSlider', slider_widget_container.slideNavigationClickHandler);
+		}
+		
+		/**
+		 * Returns the content of a navigation button: the 'arrow_template' option's
+		 * output, else the arrow image from 'image_base', else a CSS-styled arrow.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		direction			String		Direction of the button. Options: 'left', 'right'
+		 * @param		label				String		The button's accessible label
+		 *
+		 * @returns		mixed				HTML string, element or jQuery object
+		 */
+		this.renderArrowContent = function(direction, label) {
+			if ($.isFunction(options.arrow_template)) {
+				return options.arrow_template.call(slider_widget_container.get(0), direction, label);
+			}
+			if (options.image_base != null) {
+				return $("<img>").attr({src:options.image_base+"/slider-"+direction+"-arrow-static.png", alt:''}).addClass('slider_control_image');
+			}
+			return $("<span aria-hidden='true'></span>").addClass('slider_arrow').html(direction == 'left' ? '&lsaquo;' : '&rsaquo;');
+		}
+		
+		/**
+		 * Returns the URL of the thumbnail of the slide at the given index: its
+		 * 'data-thumb' attribute, else the URL of its first image, else null.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide
+		 *
+		 * @returns		String
+		 */
+		this.getSlideThumbnail = function(slide_index) {
+			var slide = slider_widget_container.find('div.slider').eq(slide_index);
+			var first_image = slide.find('img').first();
+			return slide.attr('data-thumb') || first_image.attr('src') || first_image.attr('data-src') || null;
+		}
+		
+		/**
+		 * Returns the content of a slide indicator button: the 'indicator_template'
+		 * option's output, else the slide's thumbnail (with the 'thumbnails' pager),
+		 * else the indicator image from 'image_base', else a CSS-styled dot.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		index				integer		Zero-based index of the slide (or page) the indicator shows
+		 * @param		label				String		The indicator's accessible label
+		 *
+		 * @returns		mixed				HTML string, element or jQuery object
+		 */
+		this.renderIndicatorContent = function(index, label) {
+			if ($.isFunction(options.indicator_template)) {
+				return options.indicator_template.call(slider_widget_container.get(0), index, label);
+			}
+			if (options.pager == 'thumbnails') {
+				var thumbnail_url = slider_widget_container.getSlideThumbnail(slider_widget_container.getPageStartIndex(index));
+				if (thumbnail_url == null) {
+					return $("<span aria-hidden='true'></span>").addClass('slider_thumbnail_number').text(index + 1);
+				}
+				return $("<img>").attr({src:thumbnail_url, alt:''}).addClass('slider_thumbnail_image');
+			}
+			if (options.image_base != null) {
+				return $("<img>").attr({src:options.image_base+"/slider-inactive-slide.png", width:10, height:10, alt:''}).addClass('slider_control_image');
+			}
+			return $("<span aria-hidden='true'></span>").addClass('slider_dot');
+		}
+		
+		/********* Public method API *********/
+		
+		/**
+		 * Slides to the next slide, wrapping around to the first one after the last.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.next = function() {
+			slider_widget_container.slideInDirection('right', null);
+		}
+		
+		/**
+		 * Slides to the previous slide, wrapping around to the last one before the first.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.prev = function() {
+			slider_widget_container.slideInDirection('left', null);
+		}
+		
+		/**
+		 * Slides to the slide with the given zero-based index or name ('data-slide-name'
+		 * or 'id').
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			mixed		Zero-based index (integer) or name (String) of the slide to show
+		 */
+		this.goTo = function(slide_index) {
+			if (typeof slide_index == 'string' && /^\d+$/.test(slide_index)) {
+				slide_index = parseInt(slide_index, 10);
+			}
+			slide_index = slider_widget_container.getSlideIndexByName(slide_index);
+			if (slide_index < 0) {
+				throw 'ContentSlider widget: invalid slide index "' + arguments[0] + '".';
+			}
+			if (slide_index != slider_widget_container.getCurrentSlideIndex()) {
+				slider_widget_container.slideToIndex(slide_index, null);
+			}
+		}
+		
+		/**
+		 * Turns auto-scroll back on (even after it was stopped by a click) and starts it.
+		 * A widget following another one ('sync_with' or 'as_nav_for') never auto-scrolls
+		 * by itself, so it hands this to the widget it follows.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.play = function() {
+			if (slider_widget_container.isFollower()) {
+				var leading_widget = slider_widget_container.getLeadingWidget();
+				if (leading_widget == null) {
+					throw 'ContentSlider widget: cannot play a widget which follows another one, unless that one can auto-scroll.';
+				}
+				leading_widget.play();
+				return;
+			}
+			options.auto_scroll = true;
+			navigation_paused = false;
+			autoplay_resume_timeout = clearTimeout(autoplay_resume_timeout);
+			slider_widget_container.trigger('pauseAutoScroll'); // make sure we never run two timers at once
+			slider_widget_container.trigger('startAutoScroll');
+		}
+		
+		/**
+		 * Stops auto-scroll until play() is called again. A widget following another
+		 * one hands this to the widget it follows, like play().
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.pause = function() {
+			if (slider_widget_container.isFollower()) {
+				var leading_widget = slider_widget_container.getLeadingWidget();
+				if (leading_widget != null) {
+					leading_widget.pause();
+				}
+				return;
+			}
+			slider_widget_container.trigger('stopAutoScroll');
+		}
+		
+		/**
+		 * Gets the value of a single option, or sets one (or a map of them) when a
+		 * value is given. New values are checked first: an invalid one throws an error
+		 * and leaves every option as it was. Options the widget only reads when it
+		 * needs them take effect straight away; changing any other option rebuilds the
+		 * widget on the current slide (see rebuild()).
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		name				String|Object	Option name, or a map of option names to values
+		 * @param		value				mixed			New value for the option. Optional.
+		 *
+		 * @returns		mixed				The option's value when getting, otherwise undefined
+		 */
+		this.option = function(name, value) {
+			if (! $.isPlainObject(name) && value === undefined) {
+				return options[name];
+			}
+			var changed_options = {};
+			if ($.isPlainObject(name)) {
+				$.extend(changed_options, name);
+			}
+			else {
+				changed_options[name] = value;
+			}
+			
+			// Check the new values, then put the old ones back until they can be applied
+			var previous_options = $.extend({}, options);
+			$.extend(options, changed_options);
+			var option_error = null;
+			try {
+				slider_widget_container.validateOptions();
+			}
+			catch (validation_error) {
+				option_error = validation_error;
+			}
+			$.each(changed_options, function(option_name) {
+				if (previous_options.hasOwnProperty(option_name)) {
+					options[option_name] = previous_options[option_name];
+				}
+				else {
+					delete options[option_name];
+				}
+			});
+			if (option_error != null) {
+				throw option_error;
+			}
+			
+			// Breakpoints override the options they name, so those keep the new values to go back to
+			if (breakpoint_base_options != null) {
+				if (changed_options.hasOwnProperty('breakpoints')) {
+					$.each(breakpoint_base_options, function(option_name, base_value) {
+						if (! changed_options.hasOwnProperty(option_name)) {
+							changed_options[option_name] = base_value;
+						}
+					});
+					breakpoint_base_options = null;
+				}
+				else {
+					$.each(changed_options, function(option_name, option_value) {
+						if (breakpoint_base_options.hasOwnProperty(option_name)) {
+							breakpoint_base_options[option_name] = option_value;
+						}
+					});
+				}
+			}
+			
+			var needs_rebuild = false;
+			$.each(changed_options, function(option_name, option_value) {
+				if (options[option_name] !== option_value &&
+					$.inArray(option_name, ['slide_speed', 'scale_jump_speed', 'navigation_queue', 'auto_scroll_timeout', 'pause_on_hover', 'stop_on_click',
+											'autoplay_resume', 'autoplay_resume_delay', 'pause_media', 'autoplay_media', 'pause_for_media',
+											'advance_on_media_end', 'swipe', 'swipe_threshold', 'swipe_velocity', 'resize_debounce',
+											'autoscroll_direction', 'on_init', 'on_before_slide', 'on_after_slide', 'on_autoplay_change',
+											'start_slide', 'hash_prefix', 'preload_neighbors', 'image_load_timeout', 'source', 'slide_template',
+											'loading_text', 'error_text', 'on_source_load', 'on_source_error', 'debug']) < 0) {
+					needs_rebuild = true;
+				}
+			});
+			if (needs_rebuild && widget_initialized) {
+				slider_widget_container.rebuild(changed_options);
+			}
+			else {
+				$.extend(options, changed_options);
+			}
+		}
+		
+		/**
+		 * Returns a snapshot of the widget's current state.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		Object				current_index (zero-based), slide_count, current_page (zero-based), page_count, animating, autoplay
+		 */
+		this.getState = function() {
+			return {
+				current_index : slider_widget_container.getCurrentSlideIndex(),
+				slide_count : total_slides,
+				current_page : slider_widget_container.getPageIndex(slider_widget_container.getCurrentSlideIndex()),
+				page_count : slider_widget_container.getPageCount(),
+				animating : currently_animating,
+				autoplay : options.auto_scroll == true
+			};
+		}
+		
+		/**
+		 * Fetches the 'source' option again and rebuilds the slides from it.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 */
+		this.reload = function() {
+			if (options.source == null) {
+				throw 'ContentSlider widget: cannot reload without a source.';
+			}
+			slider_widget_container.loadSource();
+		}
+		
+		/**
+		 * Returns whether the widget has been initialized, ie: it is not still waiting
+		 * for the slides of its 'source'.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @returns		boolean
+		 */
+		this.isInitialized = function() {
+			return widget_initialized;
+		}
+		
+		/**
+		 * Adds a slide, before the slide at the given index or after the last one.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_content		mixed		A 'div.slider' element, or the content (HTML string, element or jQuery) to wrap in one
+		 * @param		slide_index			integer		Zero-based index the new slide will have. Optional. Default: after the last slide.
+		 */
+		this.addSlide = function(slide_content, slide_index) {
+			if (slide_index === undefined) {
+				slide_index = total_slides;
+			}
+			slide_index = parseInt(slide_index, 10);
+			if (isNaN(slide_index) || slide_index < 0 || slide_index > total_slides) {
+				throw 'ContentSlider widget: invalid slide index "' + arguments[1] + '".';
+			}
+			var new_slide = slider_widget_container.createSlide(slide_content);
+			slider_widget_container.updateSlides(function(slides) {
+				if (slide_index == slides.length) { overflow_contaner.append(new_slide); }
+				else { slides.eq(slide_index).before(new_slide); }
+			});
+		}
+		
+		/**
+		 * Removes the slide at the given index.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_index			integer		Zero-based index of the slide to remove
+		 */
+		this.removeSlide = function(slide_index) {
+			slide_index = parseInt(slide_index, 10);
+			if (isNaN(slide_index) || slide_index < 0 || slide_index >= total_slides) {
+				throw 'ContentSlider widget: invalid slide index "' + arguments[0] + '".';
+			}
+			if (total_slides == 1) {
+				throw 'ContentSlider widget: cannot remove the only slide.';
+			}
+			slider_widget_container.updateSlides(function(slides) {
+				var removed_slide = slides.eq(slide_index);
+				slider_widget_container.setSlidesFocusable(removed_slide, true);
+				slider_widget_container.restoreOriginalAttributes(removed_slide);
+				removed_slide.remove();
+			});
+		}
+		
+		/**
+		 * Replaces every slide with the given ones. The slide at the current index is
+		 * shown, or the last one if there are fewer slides now.
+		 *
+		 * @access		public
+		 * @memberOf	ContentSlider
+		 * @since		1.3
+		 *
+		 * @param		slide_contents		Array		'div.slider' elements, or contents (HTML strings, elements or jQuery objects) to wrap in them
+		 */
+		this.replaceSlides = function(slide_contents) {
+			if (! $.isArray(slide_contents) || slide_contents.length == 0) {
+				throw 'ContentSlider widget: replaceSlides needs a non-empty array of slides.';
+			}
+			var new_slides = $.map(slide_contents, function(slide_content) {
+				return slider_widget_container.createSlide(slide_content).get();
+			});
+			slider_widget_container.updateSlides(function(slides) {
+				slider_widget_container.setSlidesFocusable(slides, true);
+				slider_widget_container.restoreOriginalAttributes(slides);
+				slides.remove();
+				overflow_contaner.append(new_slides);
+			});
+		}
+		
+		/********* Initialize the slider, or call a specific function *********/
+		if (typeof options_or_method == "string") {
+			/* Call a specific function on the already-initialized widget */
 			
-			options = slider_widget_container.data('content-slider-options');
+			var content_slider = $.data(slider_widget_container.get(0), 'content-slider');
+			if (content_slider == null) {
+				throw 'ContentSlider widget: cannot call "' + options_or_method + '" before the widget is initialized.';
+			}
+			
+			if (! content_slider.isInitialized() && $.inArray(options_or_method, ['reload', 'destroy', 'option']) < 0) {
+				throw 'ContentSlider widget: cannot call "' + options_or_method + '" before the slides have loaded.';
+			}
 			
-			if (options_or_method == 'reinit') {
-				// Reinitialize the content slider
-				this.initSlider();
+			var method_args = Array.prototype.slice.call(arguments, 1);
+			switch (options_or_method) {
+				case 'reinit':
+					// Reinitialize the content slider
+					content_slider.destroy();
+					content_slider.initSlider();
+					break;
+				case 'destroy':
+					content_slider.destroy();
+					break;
+				case 'refresh':
+					content_slider.refresh();
+					break;
+				case 'reload':
+					content_slider.reload();
+					break;
+				case 'next':
+				case 'prev':
+				case 'goTo':
+				case 'play':
+				case 'pause':
+				case 'addSlide':
+				case 'removeSlide':
+				case 'replaceSlides':
+					content_slider[options_or_method].apply(content_slider, method_args);
+					break;
+				case 'option':
+					if (method_args.length == 1 && typeof method_args[0] == 'string') {
+						return content_slider.option(method_args[0]);
+					}
+					content_slider.option.apply(content_slider, method_args);
+					break;
+				case 'getState':
+					return content_slider.getState();
+				default:
+					throw 'ContentSlider widget: unknown method "' + options_or_method + '".';
 			}
 		}
 		else {
-			/* Initialize the content slider box */
-			options = $.extend(default_options, options_or_method);
+			/* Initialize the content slider box, tearing down any previous widget on it first */
+			if ($.data(slider_widget_container.get(0), 'content-slider') != null) {
+				$.data(slider_widget_container.get(0), 'content-slider').destroy();
+			}
+			options = $.extend({}, $.fn.contentSlider.defaults, options_or_method);
 			this.initSlider();
 		}
 		
@@ -558,4 +4110,505 @@
 		/********* Return the newly extended element for chaining *********/
 		return this;
 	}
+	
+	/**
+	 * Default options for every widget. Overwrite them for a single widget by
+	 * including individual options in the 'options' map object when extending the
+	 * slider container, or for all widgets created from then on by changing them
+	 * here. Each widget gets its own copy.
+	 *
+	 * @access		public
+	 * @type		Object
+	 * @memberOf	ContentSlider
+	 * @since		1.0
+	 * @updated		1.3
+	 */
+	$.fn.contentSlider.defaults = {
+		image_base : null,						// Location of directory where the navigation images are located. Without it the controls are styled with CSS only. Default null. Optional.
+		arrow_template : null,					// Function(direction, label) returning the content (HTML, element or jQuery) of a navigation button. Default null. Optional.
+		indicator_template : null,				// Function(index, label) returning the content (HTML, element or jQuery) of a slide indicator button. Default null. Optional.
+		slide_speed : 500,						// The speed (in milliseconds) in which the slides change when navigation is clicked. Default 500 (0.5s)
+		scale_jump_speed : true,				// Flag indicating whether a jump across several pages takes longer than slide_speed: by the square root of the pages, up to twice as long. Default true. Optional.
+		easing : 'swing',						// Name of the jQuery easing the slides change with. Default 'swing'. Optional.
+		use_transforms : true,					// Flag indicating whether the 'slide' effect moves the slides with a CSS translate3d transition where the browser supports it and the easing is in $.fn.contentSlider.cssEasings. Default true. Optional.
+		navigation_queue : 'drop',				// What happens to navigation during a slide change. Options: 'drop' (ignored), 'queue' (each runs in turn afterwards), 'latest' (only the last one runs afterwards). Default 'drop'. Optional.
+		auto_scroll : true,						// Flag indicating whether the widget should auto-scroll. Default true.
+		auto_scroll_timeout : 6000,				// Time (in milliseconds) that each slide will be shown before auto-scrolling. A slide's 'data-duration' attribute overrides it. Default 6000 (6s).
+		progress_indicator : false,				// Show the time left on the current slide while auto-scrolling. Options: 'bar', 'ring', false. Default false. Optional.
+		play_pause_button : false,				// Flag indicating whether to add a button which starts and stops auto-scroll. Default false. Optional.
+		play_label : 'Start slide show',		// Accessible label of the play/pause button while auto-scroll is stopped. Optional.
+		pause_label : 'Stop slide show',		// Accessible label of the play/pause button while auto-scroll is on. Optional.
+		pause_on_hover : true,					// Flag indicating whether a hover event on the slider container or its children will pause auto-scroll. Default true.
+		stop_on_click : true,					// Flag indicating whether a click event on the slider navigation will stop auto-scroll. Default true.
+		autoplay_resume : 'never',				// When auto-scroll stopped by 'stop_on_click' starts again. Options: 'never', 'after_idle' (after 'autoplay_resume_delay' without any navigation), 'on_leave' (once the mouse and focus leave the widget). Default 'never'. Optional.
+		autoplay_resume_delay : 5000,			// Time (in milliseconds) without navigation after which auto-scroll resumes, with autoplay_resume 'after_idle'. Default 5000 (5s). Optional.
+		pause_when_hidden : true,				// Flag indicating whether auto-scroll pauses while the page is hidden or the widget is scrolled out of view. Default true. Optional.
+		pause_media : true,						// Flag indicating whether video, audio and embeds in a slide are paused when it stops being shown. Default true. Optional.
+		autoplay_media : false,					// Flag indicating whether the first video, audio or embed of the slides shown starts playing when they come into view. Default false. Optional.
+		pause_for_media : true,					// Flag indicating whether auto-scroll is held while media in the slides shown is playing. Default true. Optional.
+		advance_on_media_end : false,			// Flag indicating whether to move on to the next slide as soon as media in the slides shown ends. Default false. Optional.
+		swipe : true,							// Flag indicating whether the slides can be changed by swiping (touch) or dragging (mouse). Default true. Optional.
+		swipe_threshold : 50,					// Distance (in pixels) a swipe has to travel to change the slide. Default 50. Optional.
+		swipe_velocity : 0.5,					// Speed (in pixels per millisecond) above which a shorter swipe still changes the slide. Default 0.5. Optional.
+		slider_height : 300,					// Height of the slides area, in pixels, or 'auto' to follow the height of the slides shown. Default 300.
+		navigation_inline : false,				// Is navigation inline (true) or on its own line below the slides (false). Default false.
+		pager : 'dots',							// How the slide indicators look. Options: 'dots', 'thumbnails' (from each slide's 'data-thumb' or first image), 'numbers' ('3 / 12'), false. Default 'dots'. Optional.
+		pager_container : null,					// Element (or selector) to put the pager in, instead of between the navigation buttons. Default null. Optional.
+		pager_number_format : '{index} / {count}',	// Text of the 'numbers' pager. '{index}' and '{count}' are replaced. Optional.
+		responsive : false,						// Flag indicating whether the slides should be sized to fit the container (100% / slides_per_view) and resized with the window. Default false. Optional.
+		resize_debounce : 150,					// Time (in milliseconds) the window has to stop resizing before the widget is refreshed. Default 150. Optional.
+		breakpoints : null,						// Map of minimum container widths (in pixels) to options used at that width, eg: {0: {slides_per_view: 1}, 768: {slides_per_view: 3}}. Default null. Optional.
+		slides_per_view : 1,					// Number of slides visible at once. More than 1 requires the 'slide' transition. Default 1. Optional.
+		slides_per_move : 1,					// Number of slides each step (arrow, swipe, auto-scroll) moves by. Default 1. Optional.
+		sync_with : null,						// Another widget (element or selector) to keep on the same slide: navigating either one moves the other. That widget drives auto-scroll. Default null. Optional.
+		as_nav_for : null,						// Another widget (element or selector) this one is a navigation strip for: clicking a slide here shows it there, and the slide shown there is marked 'is-current' here. That widget drives auto-scroll. Default null. Optional.
+		loop : 'wrap',							// What happens past the last (or first) slide. Options: 'wrap' (carry on to the first), 'rewind' (go back to the first), false (stop). Default 'wrap'. Optional.
+		transition : 'slide',					// Effect used to change slides. Options: 'slide', 'fade', 'slideVertical', 'none', or any name added to $.fn.contentSlider.transitions. Default 'slide'. Optional.
+		autoscroll_direction : 'right',			// Determines which direction the widget will auto-scroll. Options: 'left', 'right'. Default 'right'. Optional.
+		aria_label : 'Carousel',				// Accessible label for the widget, used unless the element already has an aria-label. Default 'Carousel'. Optional.
+		previous_label : 'Previous slide',		// Accessible label for the previous (left) navigation button. Default 'Previous slide'. Optional.
+		next_label : 'Next slide',				// Accessible label for the next (right) navigation button. Default 'Next slide'. Optional.
+		slide_label : 'Slide {index} of {count}',	// Accessible label for each slide and its indicator. '{index}' and '{count}' are replaced. Optional.
+		page_label : 'Page {index} of {count}',	// Accessible label for each indicator when slides_per_view is more than 1. Optional.
+		on_init : null,							// Callback run after the widget is initialized. Receives (event, data). Default null. Optional.
+		on_before_slide : null,					// Callback run before a slide changes. Return false to cancel the change. Receives (event, data). Default null. Optional.
+		on_after_slide : null,					// Callback run after a slide has changed. Receives (event, data). Default null. Optional.
+		on_autoplay_change : null,				// Callback run when auto-scroll starts, pauses or stops. Receives (event, data). Default null. Optional.
+		start_slide : 0,						// Zero-based index or name ('data-slide-name' or 'id') of the slide shown first. Default 0. Optional.
+		hash_navigation : false,				// Keep the current slide in the URL. Options: false, 'hash' or true (location.hash), 'replace' (history.replaceState), 'push' (history.pushState). Default false. Optional.
+		hash_prefix : null,						// Prefix of the URL hash of slides without a name, followed by the one-based slide number. Default null (the widget's id followed by '-slide-', else 'slide-'). Optional.
+		preload_neighbors : 1,					// Number of slides on each side of the visible ones whose 'data-src'/'data-srcset' images are loaded ahead. Default 1. Optional.
+		image_load_timeout : 5000,				// Longest time (in milliseconds) auto-scroll waits for the next slide's images to load. Default 5000 (5s). Optional.
+		source : null,							// Array of slide records, or the URL of a JSON array of them, to build the slides from. Default null. Optional.
+		slide_template : null,					// Function(record, index) returning the content (HTML, element or jQuery) of the slide for a 'source' record. Default null (a record is the slide's HTML, or has an 'html' property). Optional.
+		loading_text : 'Loading slides...',		// Text shown while the 'source' is being fetched. Optional.
+		error_text : 'The slides could not be loaded.',	// Text shown when the 'source' could not be fetched. Optional.
+		on_source_load : null,					// Callback run after the slides have been built from the 'source'. Receives (event, data). Default null. Optional.
+		on_source_error : null,					// Callback run when the 'source' could not be fetched. Receives (event, data). Default null. Optional.
+		debug : false							// Flag indicating whether this should output console.log debug statements. Default false. Optional.
+	};
+	
+	/**
+	 * Registry of the transition effects available to the 'transition' option. Add an
+	 * effect by adding a function to it:
+	 *
+	 * 		$.fn.contentSlider.transitions.myEffect = function(from_slide, to_slide, direction, done) {...}
+	 *
+	 * The function is called with a context object as 'this' (widget, sliders_container,
+	 * overflow_container, options, and the duration in milliseconds the effect should take),
+	 * the jQuery slides being left and shown, the direction ('left' or 'right') and a
+	 * callback it must call once the effect has finished. Every
+	 * effect but 'slide' gets the slides stacked on top of each other with only the current
+	 * one shown, so it is responsible for showing to_slide and hiding from_slide.
+	 *
+	 * @access		public
+	 * @type		Object
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 */
+	$.fn.contentSlider.transitions = {
+		/* Move the strip of slides horizontally (the original effect) */
+		slide : function(from_slide, to_slide, direction, done) {
+			this.widget.animateStripOffset(to_slide.width() * to_slide.index(), this.duration, done);
+		},
+		
+		/* Crossfade the new slide in over the old one */
+		fade : function(from_slide, to_slide, direction, done) {
+			to_slide.css({zIndex:2}).fadeIn(this.duration, this.options.easing, function() {
+				from_slide.hide();
+				to_slide.css({zIndex:''});
+				done();
+			});
+		},
+		
+		/* Push the old slide out and the new one in vertically */
+		slideVertical : function(from_slide, to_slide, direction, done) {
+			var offset = (direction == 'right' ? this.sliders_container.height() : -this.sliders_container.height());
+			to_slide.css({top:offset+'px'}).show();
+			from_slide.animate({top:(-offset)+'px'}, this.duration, this.options.easing);
+			to_slide.animate({top:0}, {
+				duration : this.duration,
+				easing : this.options.easing,
+				complete : function() {
+					from_slide.hide().css({top:''});
+					to_slide.css({top:''});
+					done();
+				}
+			});
+		},
+		
+		/* Switch slides instantly */
+		none : function(from_slide, to_slide, direction, done) {
+			from_slide.hide();
+			to_slide.show();
+			done();
+		}
+	};
+	
+	/**
+	 * The CSS timing functions matching jQuery easings, used when the strip of slides
+	 * moves with a CSS transition. An easing not listed here makes the widget animate
+	 * scrollLeft instead, so add one for a custom easing to keep using transforms:
+	 *
+	 * 		$.fn.contentSlider.cssEasings.myEasing = 'cubic-bezier(0.2, 0.8, 0.2, 1)';
+	 *
+	 * The 'easeIn*' and 'easeOut*' ones need jQuery UI or the jQuery Easing plugin.
+	 *
+	 * @access		public
+	 * @type		Object
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 */
+	$.fn.contentSlider.cssEasings = {
+		linear : 'linear',
+		swing : 'cubic-bezier(0.37, 0, 0.63, 1)',
+		easeInSine : 'cubic-bezier(0.12, 0, 0.39, 0)',
+		easeOutSine : 'cubic-bezier(0.61, 1, 0.88, 1)',
+		easeInOutSine : 'cubic-bezier(0.37, 0, 0.63, 1)',
+		easeInQuad : 'cubic-bezier(0.11, 0, 0.5, 0)',
+		easeOutQuad : 'cubic-bezier(0.5, 1, 0.89, 1)',
+		easeInOutQuad : 'cubic-bezier(0.45, 0, 0.55, 1)',
+		easeInCubic : 'cubic-bezier(0.32, 0, 0.67, 0)',
+		easeOutCubic : 'cubic-bezier(0.33, 1, 0.68, 1)',
+		easeInOutCubic : 'cubic-bezier(0.65, 0, 0.35, 1)',
+		easeOutQuart : 'cubic-bezier(0.25, 1, 0.5, 1)',
+		easeInOutQuart : 'cubic-bezier(0.76, 0, 0.24, 1)',
+		easeOutExpo : 'cubic-bezier(0.16, 1, 0.3, 1)'
+	};
+	
+	/**
+	 * The style properties and event the browser uses for 3D transforms and their
+	 * transitions, with or without a vendor prefix. Null when it lacks either.
+	 *
+	 * @access		private
+	 * @type		Object
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 */
+	var transform_support = (function() {
+		var test_style = document.createElement('div').style;
+		var candidates = [{transform : 'transform', perspective : 'perspective', transition : 'transition',
+						   css_transform : 'transform', transition_end : 'transitionend'},
+						  {transform : 'WebkitTransform', perspective : 'WebkitPerspective', transition : 'WebkitTransition',
+						   css_transform : '-webkit-transform', transition_end : 'webkitTransitionEnd'},
+						  {transform : 'MozTransform', perspective : 'MozPerspective', transition : 'MozTransition',
+						   css_transform : '-moz-transform', transition_end : 'transitionend'}];
+		for (var candidate_index = 0; candidate_index < candidates.length; candidate_index++) {
+			if (test_style[candidates[candidate_index].transform] !== undefined &&
+				test_style[candidates[candidate_index].perspective] !== undefined &&
+				test_style[candidates[candidate_index].transition] !== undefined) {
+				return candidates[candidate_index];
+			}
+		}
+		return null;
+	})();
+	
+	/**
+	 * Registry of the adapters through which the widget plays and pauses the media in
+	 * its slides. Each one is an object with:
+	 *
+	 * 		selector	String		Selector matching the media elements it handles
+	 * 		play		Function	Called with the element to start it playing
+	 * 		pause		Function	Called with the element to pause it
+	 * 		watch		Function	Optional. Called with the element and a function to call with 'playing',
+	 * 								'paused' or 'ended' whenever that happens
+	 * 		unwatch		Function	Optional. Called with the element to stop what 'watch' set up
+	 *
+	 * 'html5' handles <video> and <audio> on its own. 'youtube' and 'vimeo' send their
+	 * players commands through postMessage (YouTube embeds need 'enablejsapi=1' in their
+	 * URL), so they can pause and play them but can't tell when they play or end; replace
+	 * them with adapters built on the providers' player APIs for that.
+	 *
+	 * @access		public
+	 * @type		Object
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 */
+	$.fn.contentSlider.mediaAdapters = {
+		/* <video> and <audio> elements */
+		html5 : {
+			selector : 'video, audio',
+			play : function(element) {
+				var play_promise = element.play();
+				if (play_promise && $.isFunction(play_promise.then)) {
+					play_promise.then(null, $.noop); // the browser refused to start it (eg: not muted), leave it paused
+				}
+			},
+			pause : function(element) {
+				element.pause();
+			},
+			watch : function(element, notify) {
+				$(element).on('playing.contentSlider', function() { notify('playing'); })
+						  .on('pause.contentSlider', function() { notify('paused'); })
+						  .on('ended.contentSlider', function() { notify('ended'); });
+			},
+			unwatch : function(element) {
+				$(element).off('.contentSlider');
+			}
+		},
+		
+		/* YouTube embeds, through the IFrame player's postMessage commands */
+		youtube : {
+			selector : 'iframe[src*="youtube.com/embed/"], iframe[src*="youtube-nocookie.com/embed/"]',
+			play : function(element) {
+				postPlayerMessage(element, '{"event":"command","func":"playVideo","args":""}');
+			},
+			pause : function(element) {
+				postPlayerMessage(element, '{"event":"command","func":"pauseVideo","args":""}');
+			}
+		},
+		
+		/* Vimeo embeds, through the player's postMessage API */
+		vimeo : {
+			selector : 'iframe[src*="player.vimeo.com/video/"]',
+			play : function(element) {
+				postPlayerMessage(element, '{"method":"play"}');
+			},
+			pause : function(element) {
+				postPlayerMessage(element, '{"method":"pause"}');
+			}
+		}
+	};
+	
+	/**
+	 * Sends a message to the player inside an embed's iframe, if it has loaded.
+	 *
+	 * @access		private
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		element				HTMLElement		The iframe
+	 * @param		message				String			The message, as the player expects it
+	 */
+	var postPlayerMessage = function(element, message) {
+		if (element.contentWindow != null) {
+			element.contentWindow.postMessage(message, '*');
+		}
+	};
+	
+	/**
+	 * The MutationObserver started by $.fn.contentSlider.observe(). Null when the
+	 * document isn't being watched.
+	 *
+	 * @access		private
+	 * @type		MutationObserver
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 * @default		null
+	 */
+	var dom_observer = null;
+	
+	/**
+	 * The URL hash a widget with 'hash_navigation' last wrote (or followed). Its
+	 * 'hashchange' is not the user's doing, so no widget follows it.
+	 *
+	 * @access		private
+	 * @type		String
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 * @default		null
+	 */
+	var written_url_hash = null;
+	
+	/**
+	 * The widgets initialized from a 'data-content-slider' attribute while the
+	 * document is being watched, so they can be destroyed once they are removed
+	 * (jQuery may have cleared their data by then).
+	 *
+	 * @access		private
+	 * @type		Array
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 * @default		[]
+	 */
+	var observed_widgets = [];
+	
+	/**
+	 * Returns a short description of an element for error messages, eg: 'div#promo'
+	 * or 'div.promo_slider'.
+	 *
+	 * @access		private
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		element				HTMLElement		The element to describe
+	 *
+	 * @returns		String
+	 */
+	var describeElement = function(element) {
+		var description = element.nodeName.toLowerCase();
+		if (element.id) {
+			return description + '#' + element.id;
+		}
+		var class_names = $.trim(element.className || '');
+		return description + (class_names != '' ? '.' + class_names.split(/\s+/).join('.') : '');
+	};
+	
+	/**
+	 * Returns the options given by an element's attributes: the JSON object in its
+	 * 'data-content-slider' attribute, overridden by a 'data-*' attribute per option
+	 * (the option name with dashes for underscores, eg: 'data-auto-scroll'). Values
+	 * of those are read like jQuery's .data() does: 'true', 'false', 'null', numbers
+	 * and JSON objects or arrays are converted, anything else is a string.
+	 *
+	 * @access		private
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		element				HTMLElement		Element with a 'data-content-slider' attribute
+	 *
+	 * @returns		Object
+	 */
+	var readDataOptions = function(element) {
+		var parseAttribute = function(attribute_name, must_be_object) {
+			var attribute_value = $.trim($(element).attr(attribute_name));
+			if ($.isNumeric(attribute_value) && ! must_be_object) {
+				return parseFloat(attribute_value);
+			}
+			if (! must_be_object && ! /^(?:true|false|null|\{[\s\S]*\}|\[[\s\S]*\])$/.test(attribute_value)) {
+				return $(element).attr(attribute_name);
+			}
+			var parsed_value = null;
+			try {
+				parsed_value = $.parseJSON(attribute_value);
+			}
+			catch (parse_error) {
+				throw 'ContentSlider widget: invalid JSON in ' + attribute_name + ' on ' + describeElement(element) + '.';
+			}
+			if (must_be_object && ! $.isPlainObject(parsed_value)) {
+				throw 'ContentSlider widget: ' + attribute_name + ' must be empty or a JSON object of options on ' + describeElement(element) + '.';
+			}
+			return parsed_value;
+		};
+		
+		var data_options = ($.trim($(element).attr('data-content-slider')) == '' ? {} : parseAttribute('data-content-slider', true));
+		$.each($.fn.contentSlider.defaults, function(option_name) {
+			var attribute_name = 'data-' + option_name.replace(/_/g, '-');
+			if ($(element).attr(attribute_name) !== undefined) {
+				data_options[option_name] = parseAttribute(attribute_name, false);
+			}
+		});
+		return data_options;
+	};
+	
+	/**
+	 * Initializes every element with a 'data-content-slider' attribute, which isn't a
+	 * widget yet, with the options read from its attributes. Runs on DOM ready for the
+	 * whole document. An element with invalid options doesn't keep the others from
+	 * being initialized: the first error is thrown once they all have been.
+	 *
+	 * 		$.fn.contentSlider.autoInit('#search_results');
+	 *
+	 * @access		public
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		context				mixed		Element (or selector) to look in, itself included. Default: the whole document.
+	 */
+	$.fn.contentSlider.autoInit = function(context) {
+		var elements = (context == null ? $('[data-content-slider]') : $(context).find('[data-content-slider]').add($(context).filter('[data-content-slider]')));
+		var first_error = null;
+		elements.each(function(index, element) {
+			if ($.data(element, 'content-slider') != null) {
+				return;
+			}
+			try {
+				$(element).contentSlider(readDataOptions(element));
+				if (dom_observer != null) {
+					observed_widgets.push($.data(element, 'content-slider'));
+				}
+			}
+			catch (init_error) {
+				if (first_error == null) {
+					first_error = init_error;
+				}
+			}
+		});
+		if (first_error != null) {
+			throw first_error;
+		}
+	};
+	
+	/**
+	 * Starts watching the document (from DOM ready on) for elements with a
+	 * 'data-content-slider' attribute: those added are initialized, and widgets
+	 * initialized from the attribute are destroyed once they are removed. Pass false
+	 * to stop watching. Needs MutationObserver support.
+	 *
+	 * @access		public
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		watch				Boolean		False to stop watching. Default true.
+	 *
+	 * @returns		Boolean				Whether the document is being watched
+	 */
+	$.fn.contentSlider.observe = function(watch) {
+		if (watch === false) {
+			if (dom_observer != null) {
+				dom_observer.disconnect();
+				dom_observer = null;
+			}
+			observed_widgets = [];
+			return false;
+		}
+		if (window.MutationObserver === undefined) {
+			return false;
+		}
+		if (dom_observer == null) {
+			dom_observer = new MutationObserver(domMutationHandler);
+			$(function() {
+				if (dom_observer != null) {
+					dom_observer.observe(document.documentElement, {childList:true, subtree:true});
+					$('[data-content-slider]').each(function(index, element) {
+						if ($.data(element, 'content-slider') != null) {
+							observed_widgets.push($.data(element, 'content-slider'));
+						}
+					});
+				}
+			});
+		}
+		return true;
+	};
+	
+	/**
+	 * Handles changes to the watched document: destroys the observed widgets which
+	 * are no longer in it, then initializes the 'data-content-slider' elements added.
+	 *
+	 * @access		private
+	 * @memberOf	ContentSlider
+	 * @since		1.3
+	 *
+	 * @param		mutation_records	Array		MutationRecords of the changes
+	 */
+	var domMutationHandler = function(mutation_records) {
+		observed_widgets = $.grep(observed_widgets, function(widget) {
+			if ($.contains(document.documentElement, widget.get(0))) {
+				return true;
+			}
+			var current_widget = $.data(widget.get(0), 'content-slider') || widget; // it may have been reinitialized
+			if (current_widget.isInitialized()) {
+				current_widget.destroy();
+			}
+			return false;
+		});
+		$.each(mutation_records, function(record_index, mutation_record) {
+			$.each(mutation_record.addedNodes, function(node_index, added_node) {
+				if (added_node.nodeType == 1 && $.contains(document.documentElement, added_node)) {
+					$.fn.contentSlider.autoInit(added_node);
+				}
+			});
+		});
+	};
+	
+	/* Initialize the widgets declared in the markup */
+	$(function() {
+		try {
+			$.fn.contentSlider.autoInit();
+		}
+		catch (init_error) {
+			// Report it without keeping the page's other ready handlers from running
+			setTimeout(function() { throw init_error; }, 0);
+		}
+	});
 })(jQuery);
\ No newline at end of file